@@ -0,0 +1,153 @@
+import { noteNameToMidi } from './common.js';
+import { NoteDetector } from './noteDetector.js';
+import {
+  DEFAULT_CALIBRATION,
+  loadCalibration,
+  getLastDeviceId,
+  saveCalibration,
+  resetCalibration,
+  measureNoise,
+  measureReference,
+} from './micCalibration.js';
+
+/*
+ * Microphone calibration wizard. The user first stays silent while the
+ * background noise is recorded, then holds a reference note. From the
+ * two recordings micCalibration.js derives the noise gate, the clarity
+ * threshold and the A4 tuning reference, which are saved for the
+ * microphone that was used.
+ */
+
+const NOISE_SECONDS = 3;
+const REFERENCE_SECONDS = 4;
+
+const noiseBtn = document.getElementById('measure-noise');
+const referenceBtn = document.getElementById('measure-reference');
+const referenceSelect = document.getElementById('reference-note');
+const saveBtn = document.getElementById('save-calibration');
+const resetBtn = document.getElementById('reset-calibration');
+const levelBar = document.getElementById('level-bar');
+const statusEl = document.getElementById('status');
+
+let deviceId = null;
+let noise = null;
+let result = null;
+let recording = false;
+
+/**
+ * Show a calibration in the results table.
+ *
+ * @param {{gateDb: number, clarityThreshold: number, a4: number}} calibration
+ * @param {number} [noiseDb] Measured noise level, if known
+ */
+function showCalibration(calibration, noiseDb) {
+  document.getElementById('result-noise').textContent =
+    noiseDb === undefined ? '–' : `${noiseDb.toFixed(1)} dB`;
+  document.getElementById('result-gate').textContent = `${calibration.gateDb.toFixed(1)} dB`;
+  document.getElementById('result-clarity').textContent = calibration.clarityThreshold.toFixed(2);
+  document.getElementById('result-a4').textContent = `${calibration.a4.toFixed(1)} Hz`;
+}
+
+/**
+ * Record analysed microphone frames for the given time. The gate and
+ * clarity threshold are disabled so that every frame is captured.
+ *
+ * @param {number} seconds Recording length
+ * @returns {Promise<Object[] | null>} Frames, or null without microphone
+ */
+async function record(seconds) {
+  const frames = [];
+  const detector = new NoteDetector({
+    onFrame: (frame) => {
+      frames.push(frame);
+      const db = frame.rms > 0 ? 20 * Math.log10(frame.rms) : -100;
+      // Show -80…0 dBFS as 0–100 %
+      levelBar.style.width = `${Math.max(0, Math.min(100, (db + 80) * 1.25))}%`;
+    },
+    clarityThreshold: 0,
+    gateDb: -Infinity,
+  });
+  await detector.start();
+  if (!detector.stream) return null;
+  deviceId = detector.deviceId;
+  const label = detector.stream.getAudioTracks()[0]?.label;
+  document.getElementById('result-device').textContent = label || 'Domyślny mikrofon';
+  await new Promise((resolve) => setTimeout(resolve, seconds * 1000));
+  detector.stop();
+  levelBar.style.width = '0';
+  return frames;
+}
+
+/**
+ * Run one recording step, guarding against overlapping recordings.
+ *
+ * @param {string} message Status shown while recording
+ * @param {number} seconds Recording length
+ * @param {(frames: Object[]) => void} analyse Processes the frames
+ */
+async function runStep(message, seconds, analyse) {
+  if (recording) return;
+  recording = true;
+  noiseBtn.disabled = true;
+  referenceBtn.disabled = true;
+  statusEl.textContent = message;
+  try {
+    const frames = await record(seconds);
+    if (frames) analyse(frames);
+  } catch (err) {
+    statusEl.textContent = err.message;
+  } finally {
+    recording = false;
+    noiseBtn.disabled = false;
+    referenceBtn.disabled = !noise;
+  }
+}
+
+noiseBtn.addEventListener('click', () => {
+  runStep('Cisza… trwa pomiar szumu tła.', NOISE_SECONDS, (frames) => {
+    noise = measureNoise(frames);
+    result = null;
+    saveBtn.disabled = true;
+    showCalibration({ ...loadCalibration(deviceId), gateDb: noise.gateDb }, noise.noiseDb);
+    statusEl.textContent = 'Szum tła zmierzony. Teraz zagraj nutę wzorcową.';
+  });
+});
+
+referenceBtn.addEventListener('click', () => {
+  const note = referenceSelect.value;
+  runStep(`Zagraj ${note} i przytrzymaj…`, REFERENCE_SECONDS, (frames) => {
+    const reference = measureReference(frames, noteNameToMidi(note), noise);
+    result = {
+      gateDb: noise.gateDb,
+      clarityThreshold: reference.clarityThreshold,
+      a4: reference.a4,
+    };
+    showCalibration(result, noise.noiseDb);
+    saveBtn.disabled = false;
+    if (reference.signalDb < noise.gateDb + 10) {
+      statusEl.textContent = 'Nuta była bardzo cicha – rozważ przysunięcie mikrofonu. Możesz zapisać wynik.';
+    } else {
+      statusEl.textContent = 'Pomiar zakończony. Zapisz kalibrację, aby jej używać.';
+    }
+  });
+});
+
+saveBtn.addEventListener('click', () => {
+  if (!result || !deviceId) return;
+  saveCalibration(deviceId, result);
+  saveBtn.disabled = true;
+  statusEl.textContent = 'Kalibracja zapisana dla tego mikrofonu.';
+});
+
+resetBtn.addEventListener('click', () => {
+  resetCalibration(deviceId || getLastDeviceId());
+  noise = null;
+  result = null;
+  saveBtn.disabled = true;
+  referenceBtn.disabled = true;
+  showCalibration(DEFAULT_CALIBRATION);
+  statusEl.textContent = 'Przywrócono ustawienia domyślne.';
+});
+
+// Show the values currently used for the last microphone
+showCalibration(loadCalibration());
\ No newline at end of file
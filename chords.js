@@ -1,32 +1,90 @@
 import { NoteDetector } from './noteDetector.js';
-import { playChord, freqToPitchClass, parseNoteName, addStars } from './common.js';
+import { ChromaDetector } from './chromaDetector.js';
+import { PianoKeyboard } from './keyboard.js';
+import { connectMidiInputSelect } from './midi.js';
+import { renderNotation } from './notation.js';
+import { buildChord, chordRoot, polishNoteName, Note, CHORD_QUALITIES } from './theory.js';
+import {
+  playChord,
+  playArpeggio,
+  voiceInRange,
+  setChordRange,
+  midiToPitchClass,
+  noteNameToMidi,
+  midiToNoteName,
+  parseNoteName,
+  spellMidi,
+  formatNoteName,
+  keySignatureFifths,
+  NOTE_NAMES,
+  compareNotes,
+  persistCheckbox,
+  addStars,
+} from './common.js';
 
 /*
- * This module defines a simple chord recognition exercise. To avoid
- * external dependencies, chord definitions are hard‑coded as arrays of
- * note names (including octave numbers). Each chord entry contains a
- * display name and an array of note names. The expected pitch classes
- * (without octave) are derived from these notes using parseNoteName().
- */
-
-// Define a list of chords with Polish names and explicit note lists.
-// Each chord array contains the note names in octave 4 (or 3 for B dim).
-// Users can modify or extend this list as desired.
-const CHORDS = [
-  { name: 'C dur', notes: ['C4', 'E4', 'G4'] },
-  { name: 'G dur', notes: ['G3', 'B3', 'D4'] },
-  { name: 'F dur', notes: ['F3', 'A3', 'C4'] },
-  { name: 'D mol', notes: ['D4', 'F4', 'A4'] },
-  { name: 'A mol', notes: ['A3', 'C4', 'E4'] },
-  { name: 'E mol', notes: ['E3', 'G3', 'B3'] },
-  { name: 'B zmniejszony', notes: ['B3', 'D4', 'F4'] },
-];
+ * This module defines a chord recognition exercise. Chords are generated
+ * procedurally: a root is drawn from the twelve pitch classes (or only
+ * the white keys), a quality from the enabled ones and optionally an
+ * inversion, and the theory layer (theory.js, backed by the vendored
+ * tonal library) builds the spelled notes. The chord is then voiced
+ * within the chosen range, and those notes are both played and expected.
+ * The expected pitch classes (without octave) are derived from these
+ * notes using parseNoteName(). In strict mode the notes must be played
+ * in the written octaves.
+ *
+ * Notes are written with the spelling of the chord's key (A♭ in F minor,
+ * not G♯) and displayed that way, including the notes the user plays,
+ * while the comparison itself is enharmonic.
+ *
+ * In the ear-training mode the chord stays hidden: it is only played
+ * (together or as an arpeggio) and the learner picks its quality, and
+ * optionally its root, from buttons. Any answer with the same pitch
+ * classes is accepted, since inversions make some chords sound alike.
+ * Answers are scored for the session.
+ */
+
+// Difficulty presets: enabled qualities (keys of CHORD_QUALITIES),
+// whether roots on black keys are used and the highest inversion (a
+// value of the inversion select: '0', '1', '2' or 'all').
+const PRESETS = {
+  easy: { qualities: ['major', 'minor'], allRoots: false, inversions: '0' },
+  medium: {
+    qualities: ['major', 'minor', 'diminished', 'augmented', 'sus2', 'sus4'],
+    allRoots: true,
+    inversions: 'all',
+  },
+  hard: { qualities: Object.keys(CHORD_QUALITIES), allRoots: true, inversions: 'all' },
+};
+
+// Pitch classes (0 = C) of the white keys
+const WHITE_KEY_CHROMAS = [0, 2, 4, 5, 7, 9, 11];
+
+// localStorage key of the generator settings
+const SETTINGS_KEY = 'pianoChordSettings';
+
+// Number of consecutive chroma frames that must agree before a chord
+// struck all at once is judged.
+const STABLE_FRAMES = 3;
 
 let currentChord = null;
 let expectedPitchClasses = [];
-let userPitchClasses = [];
+// Notes played so far: pitch classes, or note names with octave in strict mode
+let userNotes = [];
 let detector = null;
 let recordStartTime = null;
+// True while an attempt is in progress (microphone or keyboard input).
+let answering = false;
+// True once the current chord has been played correctly; played notes
+// are ignored until a new chord is shown
+let solved = false;
+// Sorted pitch-class sets heard in the most recent chroma frames.
+let recentChromaSets = [];
+// Ear-training state: whether the current chord has been answered, the
+// root chosen with the root buttons (pitch class number) and the score.
+let quizAnswered = false;
+let selectedRoot = null;
+let quizScore = { correct: 0, total: 0 };
 
 // DOM references
 const chordNameEl = document.getElementById('chord-name');
@@ -34,112 +92,645 @@ const expectedListEl = document.getElementById('expected-notes');
 const userListEl = document.getElementById('user-notes');
 const statusEl = document.getElementById('status');
 const chordInfoEl = document.getElementById('chord-info');
+const chordStaffEl = document.getElementById('chord-staff');
 
 // Buttons
 const nextBtn = document.getElementById('next-chord');
 const playBtn = document.getElementById('play-chord');
 const recordBtn = document.getElementById('start-record');
+const wholeChordCheckbox = document.getElementById('whole-chord');
+const strictCheckbox = document.getElementById('strict-mode');
+
+// Generator settings
+const difficultySelect = document.getElementById('difficulty');
+const rangeSelect = document.getElementById('chord-range');
+const qualityOptionsEl = document.getElementById('quality-options');
+const allRootsCheckbox = document.getElementById('all-roots');
+const inversionsSelect = document.getElementById('inversions');
+const modeSelect = document.getElementById('mode');
+const playbackSelect = document.getElementById('playback-style');
+
+// Ear-training elements
+const earQuizEl = document.getElementById('ear-quiz');
+const nameRootCheckbox = document.getElementById('name-root');
+const rootButtonsEl = document.getElementById('root-buttons');
+const qualityButtonsEl = document.getElementById('quality-buttons');
+const quizScoreEl = document.getElementById('quiz-score');
+const playOptionsEl = document.getElementById('play-options');
+const playAnswerEl = document.getElementById('play-answer');
+
+/**
+ * Identify a played note for comparison: by pitch class, or by full
+ * note name when the octave matters (strict mode).
+ *
+ * @param {number} midi MIDI note number
+ * @returns {string} Pitch class or note name
+ */
+function noteKey(midi) {
+  return strictCheckbox.checked ? midiToNoteName(midi) : midiToPitchClass(midi);
+}
 
 /**
- * Pick a random chord from the list and update the view.
+ * Spell a played note in the current chord's key for display, with the
+ * octave only in strict mode.
+ *
+ * @param {number} midi MIDI note number
+ * @returns {string} Display name, e.g. "A♭" or "A♭3"
+ */
+function displayName(midi) {
+  const fifths = keySignatureFifths(...currentChord.key);
+  const name = spellMidi(midi, fifths, currentChord.notes);
+  return formatNoteName(strictCheckbox.checked ? name : name.replace(/-?\d+$/, ''));
+}
+
+/**
+ * Write the current chord on the grand staff as a whole-note chord in
+ * the voicing that is played.
+ */
+function renderChordStaff() {
+  renderNotation(chordStaffEl, {
+    clef: 'grand',
+    items: [{ keys: currentChord.notes, duration: 'w' }],
+    width: 240,
+    label: currentChord.name,
+  });
+}
+
+/**
+ * Show the notes of the current chord, with octaves in strict mode.
+ */
+function renderExpectedNotes() {
+  expectedListEl.innerHTML = '';
+  currentChord.notes.forEach((name) => {
+    const midi = noteNameToMidi(name);
+    const span = document.createElement('span');
+    span.textContent = displayName(midi);
+    span.dataset.note = noteKey(midi);
+    expectedListEl.appendChild(span);
+  });
+}
+
+/**
+ * Generate a random chord with the current settings: a root, one of the
+ * enabled qualities and a random inversion up to the chosen one, voiced
+ * within the chosen range.
+ *
+ * @returns {{name: string, notes: string[], key: [string, string]}} Chord
+ */
+function generateChord() {
+  const qualities = selectedQualities();
+  const quality = qualities[Math.floor(Math.random() * qualities.length)];
+  const chromas = allRootsCheckbox.checked
+    ? [...Array(12).keys()]
+    : WHITE_KEY_CHROMAS;
+  const root = chordRoot(chromas[Math.floor(Math.random() * chromas.length)], quality);
+  const size = buildChord(`${root}4`, quality).notes.length;
+  const limit = inversionsSelect.value === 'all' ? size - 1 : Number(inversionsSelect.value);
+  const inversion = Math.floor(Math.random() * (Math.min(limit, size - 1) + 1));
+  const chord = buildChord(`${root}4`, quality, inversion);
+  return { ...chord, notes: voiceInRange(chord.notes) };
+}
+
+/**
+ * True when the ear-training mode is selected.
+ *
+ * @returns {boolean}
+ */
+function isEarMode() {
+  return modeSelect.value === 'ear';
+}
+
+/**
+ * Play the current chord in the selected style: all notes together or
+ * as an arpeggio from the lowest note.
+ */
+function playCurrentChord() {
+  if (!currentChord) return;
+  if (playbackSelect.value === 'arpeggio') {
+    playArpeggio(currentChord.notes);
+  } else {
+    playChord(currentChord.notes, 1.5);
+  }
+}
+
+/**
+ * Generate a new chord and update the view. In the ear-training mode the
+ * chord name and notes stay hidden until the chord has been answered.
  */
 function pickRandomChord() {
   // Choose a random chord different from the current one.
   let next;
   do {
-    next = CHORDS[Math.floor(Math.random() * CHORDS.length)];
+    next = generateChord();
   } while (currentChord && next.name === currentChord.name);
   currentChord = next;
   // Expected pitch classes are derived from note names, discarding octaves.
   expectedPitchClasses = currentChord.notes.map((n) => parseNoteName(n).pc);
   // Update DOM
   chordNameEl.textContent = currentChord.name;
-  expectedListEl.innerHTML = '';
-  expectedPitchClasses.forEach((pc) => {
-    const span = document.createElement('span');
-    span.textContent = pc;
-    span.dataset.pc = pc;
-    expectedListEl.appendChild(span);
+  renderChordStaff();
+  renderExpectedNotes();
+  chordInfoEl.classList.toggle('hidden', isEarMode());
+  // Reset user state; the answer is timed from the moment the chord is shown
+  finishAnswer();
+  recordStartTime = performance.now();
+  solved = false;
+  userNotes = [];
+  userListEl.innerHTML = '';
+  statusEl.textContent = '';
+  statusEl.className = 'status';
+  resetQuizAnswer();
+}
+
+/**
+ * Create a button for every enabled quality, and for the twelve roots
+ * (with both names of the black keys, e.g. "Cis/Des").
+ */
+function renderQuizButtons() {
+  qualityButtonsEl.innerHTML = '';
+  selectedQualities().forEach((quality) => {
+    const btn = document.createElement('button');
+    btn.className = 'btn';
+    btn.textContent = CHORD_QUALITIES[quality].name;
+    btn.dataset.quality = quality;
+    btn.addEventListener('click', () => answerQuiz(quality));
+    qualityButtonsEl.appendChild(btn);
+  });
+  if (rootButtonsEl.children.length) return;
+  for (let chroma = 0; chroma < 12; chroma++) {
+    const names = [Note.fromMidiSharps(60 + chroma), Note.fromMidi(60 + chroma)].map(polishNoteName);
+    const btn = document.createElement('button');
+    btn.className = 'btn';
+    btn.textContent = [...new Set(names)].join('/');
+    btn.dataset.chroma = String(chroma);
+    btn.addEventListener('click', () => selectRoot(chroma));
+    rootButtonsEl.appendChild(btn);
+  }
+}
+
+/**
+ * Clear the answer buttons' state for a new chord.
+ */
+function resetQuizAnswer() {
+  quizAnswered = false;
+  selectedRoot = null;
+  renderQuizButtons();
+  rootButtonsEl.querySelectorAll('button').forEach((b) => b.classList.remove('selected'));
+}
+
+/**
+ * Choose the root of the heard chord; the answer is given with the
+ * quality button.
+ *
+ * @param {number} chroma Pitch class number 0–11 (0 = C)
+ */
+function selectRoot(chroma) {
+  if (quizAnswered) return;
+  selectedRoot = chroma;
+  rootButtonsEl.querySelectorAll('button').forEach((b) => {
+    b.classList.toggle('selected', b.dataset.chroma === String(chroma));
   });
+}
+
+/**
+ * Pitch classes of some notes as a comparable key, e.g. "0,4,7".
+ *
+ * @param {string[]} notes Note names
+ * @returns {string} Sorted distinct chroma numbers joined by commas
+ */
+function chromaSet(notes) {
+  return [...new Set(notes.map((n) => Note.chroma(n)))].sort((a, b) => a - b).join(',');
+}
+
+/**
+ * True when a quality, on the given root or on any root, has the same
+ * pitch classes as the current chord. Inversions make such chords sound
+ * identical (C sus2 over G is G sus4), and an augmented triad sounds the
+ * same on each of its notes, so every matching answer is accepted.
+ *
+ * @param {string} quality Key of CHORD_QUALITIES
+ * @param {number|null} rootChroma Root pitch class number, or null for any root
+ * @returns {boolean}
+ */
+function soundsLikeCurrentChord(quality, rootChroma) {
+  const target = chromaSet(currentChord.notes);
+  const roots = rootChroma === null ? [...Array(12).keys()] : [rootChroma];
+  return roots.some(
+    (chroma) => chromaSet(buildChord(Note.fromMidi(60 + chroma), quality).notes) === target,
+  );
+}
+
+/**
+ * Show the session score of the ear-training mode.
+ */
+function renderQuizScore() {
+  const { correct, total } = quizScore;
+  quizScoreEl.textContent = total
+    ? `Wynik: ${correct}/${total} (${Math.round((correct / total) * 100)}%)`
+    : '';
+}
+
+/**
+ * Judge an answer in the ear-training mode. The chosen quality, on the
+ * chosen root when the root is asked for too, must give the pitch
+ * classes of the chord (enharmonically: Cis and Des are the same
+ * answer), so a chord that sounds identical to the one played counts.
+ * A correct answer earns a star, or two when the root was named as
+ * well. Either way the chord is revealed.
+ *
+ * @param {string} quality Key of CHORD_QUALITIES chosen by the learner
+ */
+function answerQuiz(quality) {
+  if (quizAnswered || !currentChord) return;
+  const withRoot = nameRootCheckbox.checked;
+  if (withRoot && selectedRoot === null) {
+    statusEl.textContent = 'Najpierw wybierz dźwięk podstawowy.';
+    statusEl.className = 'status';
+    return;
+  }
+  quizAnswered = true;
+  qualityButtonsEl.querySelectorAll('button').forEach((b) => {
+    b.classList.toggle('selected', b.dataset.quality === quality);
+  });
+  const exact =
+    quality === currentChord.quality &&
+    (!withRoot || selectedRoot === Note.chroma(currentChord.root));
+  const correct = exact || soundsLikeCurrentChord(quality, withRoot ? selectedRoot : null);
+  quizScore.total += 1;
+  if (correct) {
+    const stars = withRoot ? 2 : 1;
+    quizScore.correct += 1;
+    const same = exact ? '' : ' Twoja odpowiedź brzmi identycznie.';
+    statusEl.textContent = `Dobrze! To był ${currentChord.name}.${same} ${'★'.repeat(stars)}`;
+    statusEl.className = 'status result-success';
+    addStars(stars);
+  } else {
+    statusEl.textContent = `Niestety, to był ${currentChord.name}.`;
+    statusEl.className = 'status result-failure';
+  }
   chordInfoEl.classList.remove('hidden');
-  // Reset user state
-  userPitchClasses = [];
+  renderQuizScore();
+}
+
+/**
+ * Switch between playing the shown chord and identifying a hidden one
+ * by ear. Starts a new chord so that a revealed chord is not quizzed.
+ */
+function updateMode() {
+  const ear = isEarMode();
+  earQuizEl.classList.toggle('hidden', !ear);
+  playOptionsEl.classList.toggle('hidden', ear);
+  playAnswerEl.classList.toggle('hidden', ear);
+  userListEl.classList.toggle('hidden', ear);
+  recordBtn.classList.toggle('hidden', ear);
+  rootButtonsEl.classList.toggle('hidden', !nameRootCheckbox.checked);
+  pickRandomChord();
+}
+
+/**
+ * Reset the user's notes and start a new attempt.
+ */
+function beginAnswer() {
+  userNotes = [];
   userListEl.innerHTML = '';
   statusEl.textContent = '';
+  statusEl.className = 'status';
+  answering = true;
 }
 
 /**
- * Start listening for notes from the microphone. Each detected
- * pitch class is added to userPitchClasses. When the user has played
- * all expected notes (order doesn’t matter) the detector stops and a
- * success message is shown.
+ * End the current attempt and release the microphone if it is in use.
  */
-async function startRecording() {
-  // Stop any existing detector
+function finishAnswer() {
+  answering = false;
   if (detector) {
     detector.stop();
     detector = null;
   }
-  userPitchClasses = [];
-  userListEl.innerHTML = '';
-  statusEl.textContent = 'Nasłuchiwanie...';
-  detector = new NoteDetector({
-    onFrequency: (freq) => {
-      const pitchClass = freqToPitchClass(freq);
-      if (!pitchClass) return;
-      // If this pitch class hasn't been recorded yet, add it
-      if (!userPitchClasses.includes(pitchClass)) {
-        userPitchClasses.push(pitchClass);
-        const span = document.createElement('span');
-        span.textContent = pitchClass;
-        userListEl.appendChild(span);
-        // Check if user has played all expected notes
-        // Highlight matched expected notes
-        const spans = expectedListEl.querySelectorAll('span');
-        spans.forEach((s) => {
-          if (userPitchClasses.includes(s.dataset.pc)) {
-            s.classList.add('correct-note');
-          }
-        });
-        const allMatch = expectedPitchClasses.every((pc) =>
-          userPitchClasses.includes(pc)
-        );
-        if (allMatch) {
-          // Determine elapsed time and award stars accordingly
-          const elapsed = recordStartTime ? (performance.now() - recordStartTime) / 1000 : null;
-          let stars = 1;
-          if (elapsed !== null) {
-            if (elapsed <= 5) stars = 3;
-            else if (elapsed <= 10) stars = 2;
-          }
-          statusEl.innerHTML = `Brawo! Zagrałeś poprawny akord. ${'★'.repeat(stars)}`;
-          statusEl.className = 'status result-success';
-          addStars(stars);
-          detector.stop();
-          detector = null;
-        }
-        // If user plays more than expected notes, inform them
-        if (userPitchClasses.length > expectedPitchClasses.length) {
-          statusEl.textContent = 'Zagrałeś za dużo nut. Spróbuj ponownie.';
-          statusEl.className = 'status result-failure';
-          detector.stop();
-          detector = null;
-        }
+}
+
+/**
+ * Finish a successful attempt: award stars depending on how quickly the
+ * chord was played after it was shown and show the success message. The
+ * chord counts as solved, so it earns stars only once.
+ */
+function chordCompleted() {
+  // Determine elapsed time and award stars accordingly
+  const elapsed = recordStartTime ? (performance.now() - recordStartTime) / 1000 : null;
+  let stars = 1;
+  if (elapsed !== null) {
+    if (elapsed <= 5) stars = 3;
+    else if (elapsed <= 10) stars = 2;
+  }
+  statusEl.innerHTML = `Brawo! Zagrałeś poprawny akord. ${'★'.repeat(stars)}`;
+  statusEl.className = 'status result-success';
+  addStars(stars);
+  solved = true;
+  finishAnswer();
+}
+
+/**
+ * Handle a note played by the user, whether it was detected by the
+ * microphone or pressed on the on-screen keyboard. Each new note is
+ * added to userNotes. When the user has played all expected notes
+ * (order doesn’t matter) the attempt ends with a success message. In
+ * strict mode a chord tone played in the wrong octave is pointed out
+ * and not counted. A keyboard press outside an attempt starts a new one;
+ * once the chord has been solved further notes are ignored. In the
+ * ear-training mode the chord is named, not played, so notes (e.g. from
+ * a MIDI keyboard) are ignored as well.
+ *
+ * @param {number} midi MIDI note number of the played note
+ */
+function handleNote(midi) {
+  if (solved || isEarMode()) return;
+  if (!answering) beginAnswer();
+  const expectedMidis = currentChord.notes.map(noteNameToMidi);
+  const verdicts = expectedMidis.map((e) => compareNotes(midi, e, strictCheckbox.checked));
+  if (!verdicts.includes('match') && verdicts.includes('octave')) {
+    const target = formatNoteName(currentChord.notes[verdicts.indexOf('octave')]);
+    statusEl.textContent = `${displayName(midi)}: dobra nuta, ale zła oktawa – zagraj ${target}.`;
+    statusEl.className = 'status result-failure';
+    return;
+  }
+  const key = noteKey(midi);
+  // If this note hasn't been recorded yet, add it
+  if (!userNotes.includes(key)) {
+    userNotes.push(key);
+    const span = document.createElement('span');
+    span.textContent = displayName(midi);
+    userListEl.appendChild(span);
+    // Highlight matched expected notes
+    const spans = expectedListEl.querySelectorAll('span');
+    spans.forEach((s) => {
+      if (userNotes.includes(s.dataset.note)) {
+        s.classList.add('correct-note');
       }
-    },
-    clarityThreshold: 0.85,
+    });
+    // Check if user has played all expected notes
+    const expectedKeys = expectedMidis.map(noteKey);
+    const allMatch = expectedKeys.every((k) => userNotes.includes(k));
+    if (allMatch) {
+      chordCompleted();
+    } else if (userNotes.length > expectedKeys.length) {
+      // If user plays more than expected notes, inform them
+      statusEl.textContent = 'Zagrałeś za dużo nut. Spróbuj ponownie.';
+      statusEl.className = 'status result-failure';
+      finishAnswer();
+    }
+  }
+}
+
+/**
+ * Handle one chroma frame while listening for a chord struck all at
+ * once. The pitch classes heard are shown live; once the same set has
+ * been heard for STABLE_FRAMES frames it is compared with the expected
+ * chord. A wrong chord is reported but listening continues, so the
+ * learner can simply strike it again.
+ *
+ * @param {{pitchClasses: {pc: string, confidence: number}[]}} result Frame result
+ */
+function handleChroma({ pitchClasses }) {
+  if (!answering) return;
+  const heard = pitchClasses.map((p) => p.pc);
+  // Chroma pitch classes are sharp names; spell them in the chord's key
+  const spelled = heard.map((pc) => displayName(60 + NOTE_NAMES.indexOf(pc)));
+  userListEl.innerHTML = '';
+  pitchClasses.forEach(({ confidence }, i) => {
+    const span = document.createElement('span');
+    span.textContent = spelled[i];
+    span.title = `Pewność: ${Math.round(confidence * 100)}%`;
+    userListEl.appendChild(span);
   });
-  recordStartTime = performance.now();
+  recentChromaSets.push(heard.slice().sort().join(','));
+  if (recentChromaSets.length > STABLE_FRAMES) recentChromaSets.shift();
+  const stable =
+    recentChromaSets.length === STABLE_FRAMES &&
+    recentChromaSets.every((set) => set === recentChromaSets[0]);
+  if (!stable) return;
+  const allMatch = expectedPitchClasses.every((pc) => heard.includes(pc));
+  const extra = heard.filter((pc) => !expectedPitchClasses.includes(pc));
+  if (allMatch && extra.length === 0) {
+    expectedListEl.querySelectorAll('span').forEach((s) => s.classList.add('correct-note'));
+    chordCompleted();
+  } else if (heard.length >= expectedPitchClasses.length) {
+    statusEl.textContent = `Słyszę ${spelled.join(' ')} – to nie ten akord. Spróbuj ponownie.`;
+    statusEl.className = 'status result-failure';
+  }
+}
+
+/**
+ * Start listening for notes from the microphone. By default detected
+ * frequencies are converted to MIDI notes and passed to handleNote(), so
+ * the chord is played one note at a time. With the "whole chord" option
+ * the polyphonic ChromaDetector is used instead and handleChroma()
+ * judges the chord struck all at once.
+ */
+async function startRecording() {
+  if (solved) return;
+  // Stop any existing detector
+  finishAnswer();
+  beginAnswer();
+  statusEl.textContent = 'Nasłuchiwanie...';
+  if (wholeChordCheckbox && wholeChordCheckbox.checked) {
+    recentChromaSets = [];
+    detector = new ChromaDetector({ onChroma: handleChroma });
+  } else {
+    detector = new NoteDetector({
+      onNoteStart: (midi) => handleNote(midi),
+    });
+  }
   await detector.start();
 }
 
 // Event listeners
-nextBtn.addEventListener('click', pickRandomChord);
-playBtn.addEventListener('click', () => {
-  if (!currentChord) return;
-  playChord(currentChord.notes, 1.5);
+nextBtn.addEventListener('click', () => {
+  pickRandomChord();
+  // A hidden chord is only known by its sound, so play it right away
+  if (isEarMode()) playCurrentChord();
 });
+playBtn.addEventListener('click', playCurrentChord);
 recordBtn.addEventListener('click', startRecording);
 
+// On-screen keyboard as an alternative to the microphone
+const keyboard = new PianoKeyboard({
+  container: document.getElementById('answer-keyboard'),
+  range: 'C3-C6',
+  onNoteOn: (note) => handleNote(noteNameToMidi(note)),
+});
+
+// MIDI keyboard as a third answer source; its keys are mirrored on screen
+connectMidiInputSelect(document.getElementById('midi-input-select'), {
+  onNoteOn: (midi) => {
+    keyboard.setHighlight(midiToNoteName(midi), true);
+    handleNote(midi);
+  },
+  onNoteOff: (midi) => keyboard.setHighlight(midiToNoteName(midi), false),
+});
+
+/**
+ * Apply the strict mode setting. The chroma detector only knows pitch
+ * classes, so playing the whole chord at once is unavailable in strict
+ * mode.
+ */
+function updateStrictMode() {
+  if (strictCheckbox.checked) wholeChordCheckbox.checked = false;
+  wholeChordCheckbox.disabled = strictCheckbox.checked;
+  if (currentChord) {
+    finishAnswer();
+    renderExpectedNotes();
+    userNotes = [];
+    userListEl.innerHTML = '';
+    statusEl.textContent = '';
+    statusEl.className = 'status';
+  }
+}
+
+/**
+ * Create a checkbox for every chord quality, labelled with its Polish name.
+ */
+function renderQualityOptions() {
+  Object.entries(CHORD_QUALITIES).forEach(([quality, { name }]) => {
+    const label = document.createElement('label');
+    label.style.marginRight = '1rem';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = quality;
+    label.append(checkbox, ` ${name}`);
+    qualityOptionsEl.appendChild(label);
+  });
+}
+
+/**
+ * Qualities currently enabled in the settings. At least one is always
+ * returned: with none ticked, major chords are used.
+ *
+ * @returns {string[]} Keys of CHORD_QUALITIES
+ */
+function selectedQualities() {
+  const checked = [...qualityOptionsEl.querySelectorAll('input:checked')].map((c) => c.value);
+  return checked.length ? checked : ['major'];
+}
+
+/**
+ * Tick the options of a difficulty preset.
+ *
+ * @param {string} preset Key of PRESETS
+ */
+function applyPreset(preset) {
+  const { qualities, allRoots, inversions } = PRESETS[preset];
+  qualityOptionsEl.querySelectorAll('input').forEach((c) => {
+    c.checked = qualities.includes(c.value);
+  });
+  allRootsCheckbox.checked = allRoots;
+  inversionsSelect.value = inversions;
+}
+
+/**
+ * Save the generator settings in localStorage.
+ */
+function saveSettings() {
+  try {
+    localStorage.setItem(
+      SETTINGS_KEY,
+      JSON.stringify({
+        mode: modeSelect.value,
+        playback: playbackSelect.value,
+        nameRoot: nameRootCheckbox.checked,
+        difficulty: difficultySelect.value,
+        range: rangeSelect.value,
+        qualities: selectedQualities(),
+        allRoots: allRootsCheckbox.checked,
+        inversions: inversionsSelect.value,
+      }),
+    );
+  } catch (e) {
+    // localStorage might be unavailable; ignore errors
+  }
+}
+
+/**
+ * Select a saved value if the select offers it.
+ *
+ * @param {HTMLSelectElement} select Select element
+ * @param {string} value Saved value
+ */
+function restoreSelect(select, value) {
+  if ([...select.options].some((o) => o.value === value)) select.value = value;
+}
+
+/**
+ * Restore the settings saved in localStorage, falling back to the easy
+ * preset.
+ */
+function loadSettings() {
+  let saved = null;
+  try {
+    saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+  } catch (e) {
+    // localStorage might be unavailable or hold invalid data
+  }
+  const known = saved && (saved.difficulty in PRESETS || saved.difficulty === 'custom');
+  difficultySelect.value = known ? saved.difficulty : 'easy';
+  if (difficultySelect.value === 'custom') {
+    qualityOptionsEl.querySelectorAll('input').forEach((c) => {
+      c.checked = (saved.qualities || []).includes(c.value);
+    });
+    allRootsCheckbox.checked = !!saved.allRoots;
+    restoreSelect(inversionsSelect, saved.inversions);
+  } else {
+    applyPreset(difficultySelect.value);
+  }
+  if (!saved) return;
+  restoreSelect(rangeSelect, saved.range);
+  restoreSelect(modeSelect, saved.mode);
+  restoreSelect(playbackSelect, saved.playback);
+  nameRootCheckbox.checked = !!saved.nameRoot;
+}
+
+/**
+ * Apply the chosen range to playback and the on-screen keyboard.
+ */
+function applyRange() {
+  setChordRange(rangeSelect.value);
+  keyboard.setRange(rangeSelect.value);
+}
+
+renderQualityOptions();
+loadSettings();
+applyRange();
+
+difficultySelect.addEventListener('change', () => {
+  if (difficultySelect.value !== 'custom') applyPreset(difficultySelect.value);
+  saveSettings();
+  pickRandomChord();
+});
+rangeSelect.addEventListener('change', () => {
+  applyRange();
+  saveSettings();
+  pickRandomChord();
+});
+// Changing any single option turns the preset into a custom selection
+[qualityOptionsEl, allRootsCheckbox, inversionsSelect].forEach((el) =>
+  el.addEventListener('change', () => {
+    difficultySelect.value = 'custom';
+    saveSettings();
+    pickRandomChord();
+  }),
+);
+playbackSelect.addEventListener('change', saveSettings);
+modeSelect.addEventListener('change', () => {
+  saveSettings();
+  updateMode();
+});
+nameRootCheckbox.addEventListener('change', () => {
+  saveSettings();
+  rootButtonsEl.classList.toggle('hidden', !nameRootCheckbox.checked);
+});
+
+persistCheckbox(strictCheckbox, 'pianoStrictChords');
+strictCheckbox.addEventListener('change', updateStrictMode);
+updateStrictMode();
+
 // Initialise with the first chord when the page loads
-pickRandomChord();
\ No newline at end of file
+updateMode();
\ No newline at end of file
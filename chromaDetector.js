@@ -0,0 +1,230 @@
+import FFT from './lib/fft.js';
+import { getAudioContext, NOTE_NAMES, tuningReference } from './common.js';
+import { getStreamDeviceId, useDevice } from './micCalibration.js';
+
+/*
+ * Polyphonic pitch-class detection. NoteDetector (Pitchy) reports one
+ * fundamental at a time, which is not enough to recognise a chord that
+ * is struck all at once. ChromaAnalyser instead looks at the whole
+ * spectrum of a frame: it picks spectral peaks from an FFT (fft.js),
+ * folds them into a 12-bin chroma vector (one bin per pitch class) and
+ * reports the pitch classes whose energy stands out, each with a
+ * confidence between 0 and 1.
+ *
+ * Overtones are the main source of false pitch classes (the 3rd
+ * harmonic of C is a G, the 5th an E), so a peak that sits on an
+ * integer multiple of a stronger lower peak only contributes a
+ * fraction of its energy.
+ *
+ * ChromaDetector wraps the analyser with microphone capture, in the
+ * same way NoteDetector wraps Pitchy.
+ */
+
+// Frequency band considered for peaks (roughly C2–C8).
+const MIN_FREQ = 60;
+const MAX_FREQ = 4200;
+// Weight kept by a peak recognised as an overtone of a lower peak.
+const OVERTONE_WEIGHT = 0.25;
+
+export class ChromaAnalyser {
+  /**
+   * Create an analyser for frames of a fixed size.
+   *
+   * @param {Object} [options] Configuration options
+   * @param {number} [options.frameSize=8192] FFT size (power of two). Larger
+   *         frames resolve low notes better at the cost of latency.
+   * @param {number} [options.threshold=0.4] Minimum normalised chroma value
+   *         for a pitch class to count as active
+   * @param {number} [options.minPeakDb=-70] Peaks quieter than this (dBFS)
+   *         are ignored, which also acts as a silence gate
+   */
+  constructor({ frameSize = 8192, threshold = 0.4, minPeakDb = -70 } = {}) {
+    this.frameSize = frameSize;
+    this.threshold = threshold;
+    this.minPeakDb = minPeakDb;
+    this.fft = new FFT(frameSize);
+    this.window = new Float32Array(frameSize);
+    for (let i = 0; i < frameSize; i++) {
+      // Hann window to reduce spectral leakage between neighbouring notes
+      this.window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (frameSize - 1));
+    }
+    this.input = new Float32Array(frameSize);
+    this.spectrum = this.fft.createComplexArray();
+    this.magnitudes = new Float32Array(frameSize / 2);
+  }
+
+  /**
+   * Analyse one frame of audio.
+   *
+   * @param {Float32Array} frame Samples; must be frameSize long
+   * @param {number} sampleRate Sample rate in Hz
+   * @returns {{pitchClasses: {pc: string, confidence: number}[], chroma: Float32Array}}
+   *          Active pitch classes (strongest first) and the normalised
+   *          12-bin chroma vector
+   */
+  analyse(frame, sampleRate) {
+    const n = this.frameSize;
+    for (let i = 0; i < n; i++) this.input[i] = frame[i] * this.window[i];
+    this.fft.realTransform(this.spectrum, this.input);
+    // A full-scale sine under a Hann window peaks at about n / 4
+    const scale = 4 / n;
+    for (let k = 0; k < n / 2; k++) {
+      const re = this.spectrum[2 * k];
+      const im = this.spectrum[2 * k + 1];
+      this.magnitudes[k] = Math.sqrt(re * re + im * im) * scale;
+    }
+    const peaks = this._findPeaks(sampleRate);
+    const chroma = new Float32Array(12);
+    peaks.forEach((peak) => {
+      const midi = 12 * Math.log2(peak.freq / tuningReference) + 69;
+      const nearest = Math.round(midi);
+      // Peaks far between two semitones are noise or inharmonic partials
+      if (Math.abs(midi - nearest) > 0.35) return;
+      chroma[((nearest % 12) + 12) % 12] += peak.weight;
+    });
+    let max = 0;
+    chroma.forEach((v) => {
+      if (v > max) max = v;
+    });
+    if (max > 0) {
+      for (let i = 0; i < 12; i++) chroma[i] /= max;
+    }
+    const pitchClasses = [];
+    chroma.forEach((v, i) => {
+      if (v >= this.threshold) pitchClasses.push({ pc: NOTE_NAMES[i], confidence: v });
+    });
+    pitchClasses.sort((a, b) => b.confidence - a.confidence);
+    return { pitchClasses, chroma };
+  }
+
+  /**
+   * Pick local maxima of the magnitude spectrum, refine their frequency
+   * by parabolic interpolation and down-weight overtones.
+   *
+   * @param {number} sampleRate Sample rate in Hz
+   * @returns {{freq: number, mag: number, weight: number}[]} Peaks, lowest first
+   */
+  _findPeaks(sampleRate) {
+    const mags = this.magnitudes;
+    const binHz = sampleRate / this.frameSize;
+    const minMag = Math.pow(10, this.minPeakDb / 20);
+    const first = Math.max(1, Math.floor(MIN_FREQ / binHz));
+    const last = Math.min(mags.length - 2, Math.ceil(MAX_FREQ / binHz));
+    let loudest = 0;
+    for (let k = first; k <= last; k++) {
+      if (mags[k] > loudest) loudest = mags[k];
+    }
+    // Ignore peaks more than 30 dB below the loudest one
+    const floor = Math.max(minMag, loudest * 0.03);
+    const peaks = [];
+    for (let k = first; k <= last; k++) {
+      const m = mags[k];
+      if (m < floor || m < mags[k - 1] || m <= mags[k + 1]) continue;
+      const a = mags[k - 1];
+      const c = mags[k + 1];
+      const offset = (0.5 * (a - c)) / (a - 2 * m + c || 1);
+      peaks.push({ freq: (k + offset) * binHz, mag: m, weight: m });
+    }
+    peaks.forEach((peak, i) => {
+      for (let j = 0; j < i; j++) {
+        const lower = peaks[j];
+        if (lower.mag < peak.mag * 0.5) continue;
+        const ratio = peak.freq / lower.freq;
+        const harmonic = Math.round(ratio);
+        // Within about 25 cents of the 2nd–8th harmonic of a strong lower peak
+        if (harmonic >= 2 && harmonic <= 8 && Math.abs(1200 * Math.log2(ratio / harmonic)) < 25) {
+          peak.weight = peak.mag * OVERTONE_WEIGHT;
+          break;
+        }
+      }
+    });
+    return peaks;
+  }
+}
+
+export class ChromaDetector {
+  /**
+   * Create a microphone chroma detector.
+   *
+   * @param {Object} options Configuration options
+   * @param {(result: {pitchClasses: {pc: string, confidence: number}[], chroma: Float32Array}) => void} options.onChroma
+   *         Callback invoked for every analysed frame that contains sound
+   * @param {number} [options.frameSize=8192] FFT size, see ChromaAnalyser
+   * @param {number} [options.hopSize=2048] Samples between analysed frames
+   * @param {number} [options.threshold=0.4] See ChromaAnalyser
+   */
+  constructor({ onChroma, frameSize = 8192, hopSize = 2048, threshold = 0.4 }) {
+    this.onChroma = onChroma;
+    this.analyser = new ChromaAnalyser({ frameSize, threshold });
+    this.hopSize = hopSize;
+    this.bufferLength = 1024;
+    // Ring of the most recent frameSize samples
+    this.frame = new Float32Array(frameSize);
+    this.sinceLastFrame = 0;
+    this.audioCtx = null;
+    this.stream = null;
+    this.source = null;
+    this.processor = null;
+    this.gateDb = -Infinity;
+  }
+
+  /**
+   * Start listening to the microphone and analysing audio.
+   */
+  async start() {
+    this.audioCtx = getAudioContext();
+    try {
+      this.stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (err) {
+      console.error('Microphone access denied:', err);
+      alert('Nie można uzyskać dostępu do mikrofonu. Upewnij się, że udzieliłeś zgody.');
+      return;
+    }
+    this.source = this.audioCtx.createMediaStreamSource(this.stream);
+    // Blocks below the microphone's calibrated noise gate are skipped
+    this.gateDb = useDevice(getStreamDeviceId(this.stream)).gateDb;
+    this.processor = this.audioCtx.createScriptProcessor(this.bufferLength, 1, 1);
+    this.source.connect(this.processor);
+    this.processor.connect(this.audioCtx.destination);
+    this.processor.onaudioprocess = (event) => {
+      const input = event.inputBuffer.getChannelData(0);
+      // Shift the frame left and append the new block
+      this.frame.copyWithin(0, input.length);
+      this.frame.set(input, this.frame.length - input.length);
+      this.sinceLastFrame += input.length;
+      if (this.sinceLastFrame < this.hopSize) return;
+      this.sinceLastFrame = 0;
+      let sum = 0;
+      for (let i = 0; i < input.length; i++) sum += input[i] * input[i];
+      if (10 * Math.log10(sum / input.length) < this.gateDb) return;
+      const result = this.analyser.analyse(this.frame, this.audioCtx.sampleRate);
+      if (result.pitchClasses.length === 0) return;
+      try {
+        this.onChroma(result);
+      } catch (callbackErr) {
+        console.error('Error in onChroma callback:', callbackErr);
+      }
+    };
+  }
+
+  /**
+   * Stop processing and release the microphone.
+   */
+  stop() {
+    if (this.processor) {
+      // Drop the handler too: a block already queued may still be delivered
+      this.processor.onaudioprocess = null;
+      this.processor.disconnect();
+      this.processor = null;
+    }
+    if (this.source) {
+      this.source.disconnect();
+      this.source = null;
+    }
+    if (this.stream) {
+      this.stream.getTracks().forEach((t) => t.stop());
+      this.stream = null;
+    }
+    this.audioCtx = null;
+  }
+}
\ No newline at end of file
@@ -5,31 +5,114 @@
  * application can work completely offline. It provides helpers to
  * convert between frequencies, MIDI note numbers and musical note names,
  * and functions to play notes, chords and intervals using the Web
- * Audio API. The pitch detection logic in noteDetector.js will call
- * freqToPitchClass() to interpret microphone input.
+ * Audio API. All playback goes through a single shared AudioContext
+ * with a fixed-size voice pool and a master gain bus (see
+ * getAudioContext() and startVoice()). The pitch detection logic in
+ * noteDetector.js will call freqToPitchClass() to interpret microphone
+ * input.
  */
 
-// Global audio settings. Users can customise the instrument waveform
-// (e.g. sine, square, triangle, sawtooth) and enable a slow practice
-// mode. Slow mode multiplies note durations to give learners more
-// time to hear and reproduce musical examples. See setWaveform() and
-// setSlowMode() below.
-export let currentWaveform = 'sine';
+import { loadCalibration } from './micCalibration.js';
+
+// Global audio settings. Users can choose the instrument preset used
+// for playback (see INSTRUMENTS) and enable a slow practice mode. Slow
+// mode multiplies note durations to give learners more time to hear
+// and reproduce musical examples. See setWaveform() and setSlowMode()
+// below.
+export let currentWaveform = 'piano';
 export let slowFactor = 1;
+// Frequency of A4 in Hz. Note/frequency conversions in both directions
+// use it, so detection and playback follow a piano tuned e.g. to 442 Hz.
+// The microphone calibration (micCalibration.js) sets it per device; the
+// reference of the last used device is applied below when this module loads.
+export let tuningReference = 440;
+// Range (inclusive MIDI numbers) within which playChord() voices chords;
+// C3–C5 by default. See setChordRange().
+export let chordRange = { low: 48, high: 72 };
 
 /**
- * Change the global waveform used by the Web Audio oscillators. Valid
- * values include 'sine', 'square', 'triangle' and 'sawtooth'. Any
- * unsupported value will default back to 'sine'. This function can be
- * called from UI controls to allow the learner to choose a different
- * timbre for playback. Changing the waveform affects all subsequent
- * calls to playSingleNote(), playChord() and playInterval().
+ * Instrument presets. Each preset has an ADSR envelope (attack, decay
+ * and release in seconds, sustain as a fraction of the note volume)
+ * and a timbre given either as a raw oscillator `waveform` or as a
+ * list of harmonic `partials` (relative amplitudes of the 1st, 2nd, …
+ * harmonic) that is turned into a PeriodicWave.
+ */
+export const INSTRUMENTS = {
+  piano: {
+    name: 'Fortepian',
+    partials: [1, 0.55, 0.32, 0.2, 0.12, 0.08, 0.05, 0.03],
+    envelope: { attack: 0.005, decay: 0.9, sustain: 0.15, release: 0.35 },
+  },
+  epiano: {
+    name: 'Pianino elektryczne',
+    partials: [1, 0.08, 0.3, 0, 0.1, 0, 0.04, 0, 0.02],
+    envelope: { attack: 0.003, decay: 1.4, sustain: 0.25, release: 0.5 },
+  },
+  organ: {
+    name: 'Organy',
+    partials: [1, 0.8, 0.6, 0.1, 0.45, 0, 0.1, 0.35],
+    envelope: { attack: 0.02, decay: 0.05, sustain: 0.9, release: 0.08 },
+  },
+  sine: {
+    name: 'Sinus',
+    waveform: 'sine',
+    envelope: { attack: 0.01, decay: 0.1, sustain: 0.9, release: 0.1 },
+  },
+  square: {
+    name: 'Fala kwadratowa',
+    waveform: 'square',
+    envelope: { attack: 0.01, decay: 0.1, sustain: 0.8, release: 0.1 },
+  },
+  triangle: {
+    name: 'Harfa (trójkątna)',
+    waveform: 'triangle',
+    envelope: { attack: 0.005, decay: 0.6, sustain: 0.2, release: 0.3 },
+  },
+  sawtooth: {
+    name: 'Smyczki (piła)',
+    waveform: 'sawtooth',
+    envelope: { attack: 0.12, decay: 0.2, sustain: 0.85, release: 0.25 },
+  },
+};
+
+/**
+ * Select the instrument preset used for playback. Valid values are the
+ * keys of INSTRUMENTS ('piano', 'epiano', 'organ', 'sine', …). Any
+ * unsupported value falls back to 'piano'. Changing the preset affects all subsequent calls to playSingleNote(), playChord()
+ * and playInterval().
  *
- * @param {string} wf New waveform type
+ * @param {string} wf Instrument preset id
  */
 export function setWaveform(wf) {
-  const allowed = ['sine', 'square', 'triangle', 'sawtooth'];
-  currentWaveform = allowed.includes(wf) ? wf : 'sine';
+  currentWaveform = INSTRUMENTS[wf] ? wf : 'piano';
+}
+
+/**
+ * Set the A4 tuning reference used by all note/frequency conversions.
+ * Values outside 400–480 Hz are rejected and leave the reference as is.
+ *
+ * @param {number} hz Frequency of A4 in Hz
+ */
+export function setTuningReference(hz) {
+  if (Number.isFinite(hz) && hz >= 400 && hz <= 480) {
+    tuningReference = hz;
+  }
+}
+
+// Every page loads this module, so the calibrated A4 applies to playback
+// on all of them, not only on the pages that open the microphone.
+setTuningReference(loadCalibration().a4);
+
+/**
+ * Set the range within which playChord() and voiceInRange() place
+ * chords, e.g. "C3-C5". Must span at least an octave.
+ *
+ * @param {string} range Two note names separated by a dash
+ */
+export function setChordRange(range) {
+  const [low, high] = range.split('-').map((n) => noteNameToMidi(n));
+  if (!(high - low >= 12)) throw new Error(`Invalid chord range: ${range}`);
+  chordRange = { low, high };
 }
 
 /**
@@ -69,6 +152,30 @@ export const NOTE_NAMES = [
   'B',
 ];
 
+/**
+ * Convert a frequency in Hertz to the nearest MIDI note number, relative
+ * to the current tuning reference. If the input frequency is not
+ * positive, null is returned.
+ *
+ * @param {number} freq Frequency in Hz
+ * @returns {number | null} MIDI note number (A4 = 69) or null
+ */
+export function freqToMidi(freq) {
+  if (!freq || freq <= 0) return null;
+  // MIDI note number for a given frequency: 69 is A4 (tuningReference).
+  return Math.round(12 * Math.log2(freq / tuningReference) + 69);
+}
+
+/**
+ * Reduce a MIDI note number to its pitch class (e.g. 61 → "C#").
+ *
+ * @param {number} midi MIDI note number
+ * @returns {string} Pitch class
+ */
+export function midiToPitchClass(midi) {
+  return NOTE_NAMES[((midi % 12) + 12) % 12];
+}
+
 /**
  * Convert a frequency in Hertz to a pitch class (e.g. "C", "G#").
  *
@@ -80,19 +187,52 @@ export const NOTE_NAMES = [
  * @returns {string | null} Pitch class or null if out of range
  */
 export function freqToPitchClass(freq) {
+  const midi = freqToMidi(freq);
+  if (midi === null) return null;
+  return midiToPitchClass(midi);
+}
+
+/**
+ * Describe a frequency as the nearest note together with how far off it
+ * is. Unlike freqToMidi() and freqToPitchClass(), which discard the
+ * deviation, this keeps the offset from the nearest semitone in cents
+ * (from -50 to +50, positive when the pitch is sharp), relative to the
+ * current tuning reference.
+ *
+ * @param {number} freq Frequency in Hz
+ * @returns {{midi: number, pc: string, octave: number, name: string, cents: number} | null}
+ *          Nearest note and cents offset, or null if freq is not positive
+ */
+export function freqToNote(freq) {
   if (!freq || freq <= 0) return null;
-  // MIDI note number for a given frequency: 69 is A4 (440 Hz).
-  const midi = Math.round(12 * Math.log2(freq / 440) + 69);
-  const index = ((midi % 12) + 12) % 12;
-  return NOTE_NAMES[index] || null;
+  const exact = 12 * Math.log2(freq / tuningReference) + 69;
+  const midi = Math.round(exact);
+  return {
+    midi,
+    pc: midiToPitchClass(midi),
+    octave: Math.floor(midi / 12) - 1,
+    name: midiToNoteName(midi),
+    cents: (exact - midi) * 100,
+  };
+}
+
+/**
+ * Deviation of a frequency from a given note in cents.
+ *
+ * @param {number} freq Frequency in Hz
+ * @param {number} midi MIDI note number of the target note
+ * @returns {number} Cents above (positive) or below (negative) the note
+ */
+export function centsFromMidi(freq, midi) {
+  return 1200 * Math.log2(freq / tuningReference) - (midi - 69) * 100;
 }
 
 /**
  * Convert a pitch class and octave into a frequency in Hertz.
  *
  * The octave number follows the MIDI convention where C4 is middle C
- * (MIDI note 60). For example, pitchClassToFreq('A', 4) returns
- * approximately 440.
+ * (MIDI note 60). For example, pitchClassToFreq('A', 4) returns the
+ * tuning reference (440 by default).
  *
  * @param {string} pc Pitch class (must exist in NOTE_NAMES)
  * @param {number} octave Octave number (integer)
@@ -103,37 +243,28 @@ export function pitchClassToFreq(pc, octave) {
   if (semitone < 0) throw new Error(`Unknown pitch class: ${pc}`);
   // MIDI number: C-1 = 0, C0 = 12, C4 = 60, A4 = 69
   const midi = semitone + (octave + 1) * 12;
-  return 440 * Math.pow(2, (midi - 69) / 12);
+  return tuningReference * Math.pow(2, (midi - 69) / 12);
 }
 
 /**
  * Parse a note name into its pitch class and octave.
  *
- * Accepts strings like "C4", "F#3", "Ab5". Accidentals are
- * recognised as either '#' for sharp or 'b' for flat. Flats are
- * converted to their enharmonic equivalent using sharps.
+ * Accepts any spelling understood by parseSpelledNote(), e.g. "C4",
+ * "F#3", "Ab5" or "Cx4". The result describes the sounding pitch: the
+ * pitch class uses the sharp names of NOTE_NAMES and the octave is that
+ * of the pitch, so "Cb4" gives { pc: 'B', octave: 3 }. Use
+ * parseSpelledNote() where the written spelling matters.
  *
  * @param {string} name Note name with octave
  * @returns {{pc: string, octave: number}} Parsed components
  */
 export function parseNoteName(name) {
-  const match = name.trim().match(/^([A-Ga-g])([#b]?)(-?\d+)$/);
-  if (!match) {
+  const note = parseSpelledNote(name);
+  if (note.octave === null) {
     throw new Error(`Invalid note name: ${name}`);
   }
-  let [, letter, accidental, octave] = match;
-  letter = letter.toUpperCase();
-  let pc = letter;
-  if (accidental === '#') {
-    pc = `${letter}#`;
-  } else if (accidental === 'b') {
-    // Convert flat to its enharmonic sharp equivalent
-    const idx = NOTE_NAMES.indexOf(letter);
-    // Move down one semitone and wrap around
-    const newIdx = (idx + 11) % 12;
-    pc = NOTE_NAMES[newIdx];
-  }
-  return { pc, octave: parseInt(octave, 10) };
+  const midi = spelledNoteToMidi(note);
+  return { pc: midiToPitchClass(midi), octave: Math.floor(midi / 12) - 1 };
 }
 
 /**
@@ -147,6 +278,545 @@ export function noteNameToFreq(name) {
   return pitchClassToFreq(pc, octave);
 }
 
+/**
+ * Convert a note name (e.g. "A4") into a MIDI note number (69).
+ *
+ * @param {string} name Note name
+ * @returns {number} MIDI note number
+ */
+export function noteNameToMidi(name) {
+  const { pc, octave } = parseNoteName(name);
+  return NOTE_NAMES.indexOf(pc) + (octave + 1) * 12;
+}
+
+/**
+ * Convert a MIDI note number into a note name using sharps (60 → "C4").
+ *
+ * @param {number} midi MIDI note number
+ * @returns {string} Note name
+ */
+export function midiToNoteName(midi) {
+  return `${midiToPitchClass(midi)}${Math.floor(midi / 12) - 1}`;
+}
+
+// Spelling-aware note model. A spelled note keeps the written letter and
+// accidental apart from the sounding pitch, so that Ab and G# (or E#
+// and F) stay distinct when displayed while still comparing equal as
+// pitches. Accidentals are integers: -2 double flat, -1 flat, 0 natural,
+// 1 sharp, 2 double sharp.
+export const LETTERS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+const LETTER_SEMITONES = [0, 2, 4, 5, 7, 9, 11];
+// Position of each letter on the circle of fifths relative to C.
+const LETTER_FIFTHS = [0, 2, 4, -1, 1, 3, 5];
+// Letters in the order in which sharps and flats enter key signatures.
+const SHARP_ORDER = ['F', 'C', 'G', 'D', 'A', 'E', 'B'];
+const FLAT_ORDER = ['B', 'E', 'A', 'D', 'G', 'C', 'F'];
+// Offset on the circle of fifths of each mode from its relative major.
+const MODE_FIFTHS = {
+  major: 0,
+  ionian: 0,
+  lydian: 1,
+  mixolydian: -1,
+  dorian: -2,
+  minor: -3,
+  aeolian: -3,
+  phrygian: -4,
+  locrian: -5,
+};
+
+/**
+ * Parse a spelled note. Accepts an upper- or lower-case letter, an
+ * accidental ('#', '##' or 'x', 'b', 'bb', or the symbols ♯ ♭ 𝄪 𝄫) and
+ * an optional octave, e.g. "Ab4", "F##3", "Cx", "Bbb".
+ *
+ * @param {string} name Note name
+ * @returns {{letter: string, accidental: number, octave: number | null}}
+ *          Letter, accidental (-2…2) and octave (null if omitted)
+ */
+export function parseSpelledNote(name) {
+  const match = name
+    .trim()
+    .replace(/♯/g, '#')
+    .replace(/♭/g, 'b')
+    .replace(/𝄪/g, 'x')
+    .replace(/𝄫/g, 'bb')
+    .match(/^([A-Ga-g])(##|#|x|bb|b)?(-?\d+)?$/);
+  if (!match) {
+    throw new Error(`Invalid note name: ${name}`);
+  }
+  const [, letter, acc = '', octave] = match;
+  const accidental = { '': 0, '#': 1, '##': 2, x: 2, b: -1, bb: -2 }[acc];
+  return {
+    letter: letter.toUpperCase(),
+    accidental,
+    octave: octave === undefined ? null : parseInt(octave, 10),
+  };
+}
+
+/**
+ * Format a spelled note as a name using ASCII accidentals ("Ab4",
+ * "F##3"). The octave is left out when it is null.
+ *
+ * @param {{letter: string, accidental: number, octave: number | null}} note
+ * @returns {string} Note name
+ */
+export function spelledNoteName({ letter, accidental, octave }) {
+  const acc = accidental > 0 ? '#'.repeat(accidental) : 'b'.repeat(-accidental);
+  return `${letter}${acc}${octave === null || octave === undefined ? '' : octave}`;
+}
+
+/**
+ * MIDI note number of a spelled note with an octave. The octave belongs
+ * to the letter, so "B#3" is 60 and "Cb4" is 59.
+ *
+ * @param {{letter: string, accidental: number, octave: number}} note
+ * @returns {number} MIDI note number
+ */
+export function spelledNoteToMidi({ letter, accidental, octave }) {
+  return LETTER_SEMITONES[LETTERS.indexOf(letter)] + accidental + (octave + 1) * 12;
+}
+
+/**
+ * Number of sharps (positive) or flats (negative) in the key signature
+ * of a key, e.g. ('Eb', 'major') → -3, ('F#', 'minor') → 3. Church modes
+ * are accepted as well ('dorian', 'lydian', …).
+ *
+ * @param {string} tonic Spelled tonic without octave
+ * @param {string} [mode='major'] Mode name
+ * @returns {number} Key signature as a count of fifths
+ */
+export function keySignatureFifths(tonic, mode = 'major') {
+  const { letter, accidental } = parseSpelledNote(tonic);
+  const offset = MODE_FIFTHS[mode];
+  if (offset === undefined) throw new Error(`Unknown mode: ${mode}`);
+  return LETTER_FIFTHS[LETTERS.indexOf(letter)] + 7 * accidental + offset;
+}
+
+/**
+ * Accidental that the key signature applies to a letter.
+ *
+ * @param {string} letter Note letter
+ * @param {number} fifths Key signature (see keySignatureFifths())
+ * @returns {number} -1, 0 or 1 (or ±2 for theoretical keys beyond 7)
+ */
+export function keyAccidental(letter, fifths) {
+  if (fifths >= 0) {
+    return Math.floor(fifths / 7) + (SHARP_ORDER.indexOf(letter) < fifths % 7 ? 1 : 0);
+  }
+  const flats = -fifths;
+  return -(Math.floor(flats / 7) + (FLAT_ORDER.indexOf(letter) < flats % 7 ? 1 : 0));
+}
+
+/**
+ * Letters carrying an accidental in a key signature, in the order they
+ * are written (F C G D … for sharps, B E A D … for flats).
+ *
+ * @param {number} fifths Key signature from -7 to 7 (see keySignatureFifths())
+ * @returns {string[]} Letters, e.g. 2 → ['F', 'C'], -3 → ['B', 'E', 'A']
+ */
+export function keySignatureLetters(fifths) {
+  return fifths >= 0 ? SHARP_ORDER.slice(0, fifths) : FLAT_ORDER.slice(0, -fifths);
+}
+
+/**
+ * Spell a MIDI note for a key. Pitches of the key's scale get their
+ * diatonic spelling; other pitches are spelled as naturals where
+ * possible, otherwise with a sharp in sharp keys (and C major) and with
+ * a flat in flat keys. Spellings listed in
+ * `prefer` (e.g. the tones of the current chord) take precedence.
+ *
+ * @param {number} midi MIDI note number
+ * @param {number} [fifths=0] Key signature (see keySignatureFifths())
+ * @param {string[]} [prefer=[]] Spelled note names to use when they match
+ * @returns {string} Spelled note name with octave, e.g. "Ab4"
+ */
+export function spellMidi(midi, fifths = 0, prefer = []) {
+  const pc = ((midi % 12) + 12) % 12;
+  const candidates = [];
+  LETTERS.forEach((letter, i) => {
+    const diff = ((pc - LETTER_SEMITONES[i] + 18) % 12) - 6;
+    if (Math.abs(diff) <= 2) candidates.push({ letter, accidental: diff });
+  });
+  const same = (a, b) => a.letter === b.letter && a.accidental === b.accidental;
+  const preferred = prefer.map(parseSpelledNote);
+  const chosen =
+    candidates.find((c) => preferred.some((p) => same(p, c))) ||
+    candidates.find((c) => c.accidental === keyAccidental(c.letter, fifths)) ||
+    candidates.find((c) => c.accidental === 0) ||
+    candidates.find((c) => c.accidental === (fifths < 0 ? -1 : 1)) ||
+    candidates[0];
+  const octave = (midi - LETTER_SEMITONES[LETTERS.indexOf(chosen.letter)] - chosen.accidental) / 12 - 1;
+  return spelledNoteName({ ...chosen, octave });
+}
+
+/**
+ * Transpose a spelled note by a number of letter steps and semitones,
+ * which together fix the spelling of the result: a major third is
+ * (2, 4), so "Eb4" → "G4" and "F#4" → "A#4", while an augmented second
+ * (1, 3) from "Eb4" gives "F#4".
+ *
+ * @param {string} name Spelled note name with octave
+ * @param {number} steps Letter steps (negative to go down)
+ * @param {number} semitones Semitones (same direction as steps)
+ * @returns {string} Spelled note name with octave
+ */
+export function transposeSpelled(name, steps, semitones) {
+  const note = parseSpelledNote(name);
+  const index = LETTERS.indexOf(note.letter) + steps;
+  const letter = LETTERS[((index % 7) + 7) % 7];
+  const octave = note.octave + Math.floor(index / 7);
+  const midi = spelledNoteToMidi(note) + semitones;
+  const accidental = midi - spelledNoteToMidi({ letter, accidental: 0, octave });
+  return spelledNoteName({ letter, accidental, octave });
+}
+
+/**
+ * Format a note name for display with proper accidental symbols
+ * ("Ab4" → "A♭4", "F##" → "F𝄪").
+ *
+ * @param {string} name Spelled note name, with or without octave
+ * @returns {string} Display name
+ */
+export function formatNoteName(name) {
+  const { letter, accidental, octave } = parseSpelledNote(name);
+  const symbols = { '-2': '𝄫', '-1': '♭', 0: '', 1: '♯', 2: '𝄪' };
+  return `${letter}${symbols[accidental] ?? ''}${octave === null ? '' : octave}`;
+}
+
+// Shared audio engine. A single AudioContext is created lazily on first
+// use and resumed whenever the browser has suspended it (autoplay
+// policies suspend contexts created before a user gesture). All voices
+// are routed through one master gain node, and the number of voices
+// sounding at once is capped at MAX_POLYPHONY; when the pool is full
+// the oldest voice is stolen with a short fade so it does not click.
+export const MAX_POLYPHONY = 32;
+let audioCtx = null;
+let masterGain = null;
+let masterVolume = 0.8;
+const activeVoices = [];
+
+/**
+ * Return the shared AudioContext, creating it (together with the master
+ * gain bus) on first use. If the context has been suspended by the
+ * browser, a resume is requested. Both the playback helpers below and
+ * NoteDetector use this context, so the application never holds more
+ * than one.
+ *
+ * @returns {AudioContext} Shared audio context
+ */
+export function getAudioContext() {
+  if (!audioCtx) {
+    audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+    masterGain = audioCtx.createGain();
+    masterGain.gain.setValueAtTime(masterVolume, audioCtx.currentTime);
+    masterGain.connect(audioCtx.destination);
+  }
+  if (audioCtx.state === 'suspended') {
+    audioCtx.resume().catch(() => {});
+  }
+  return audioCtx;
+}
+
+/**
+ * Set the level of the master gain bus that every voice passes through.
+ *
+ * @param {number} volume Master volume from 0 to 1
+ */
+export function setMasterVolume(volume) {
+  masterVolume = Math.min(Math.max(volume, 0), 1);
+  if (masterGain) {
+    masterGain.gain.setTargetAtTime(masterVolume, audioCtx.currentTime, 0.02);
+  }
+}
+
+/**
+ * Number of voices currently allocated in the pool (sounding or
+ * scheduled to sound).
+ *
+ * @returns {number} Active voice count
+ */
+export function getActiveVoiceCount() {
+  return activeVoices.length;
+}
+
+/**
+ * Remove a voice from the pool. Safe to call more than once.
+ *
+ * @param {Object} voice Voice returned by startVoice()
+ */
+function releaseVoiceSlot(voice) {
+  const idx = activeVoices.indexOf(voice);
+  if (idx >= 0) activeVoices.splice(idx, 1);
+}
+
+/**
+ * Free a slot by silencing the oldest voice. A 10 ms fade is applied
+ * before the source stops to avoid an audible click.
+ */
+function stealOldestVoice() {
+  let oldest = activeVoices[0];
+  activeVoices.forEach((v) => {
+    if (v.startTime < oldest.startTime) oldest = v;
+  });
+  const now = audioCtx.currentTime;
+  oldest.gain.gain.cancelScheduledValues(now);
+  oldest.gain.gain.setValueAtTime(oldest.gain.gain.value, now);
+  oldest.gain.gain.linearRampToValueAtTime(0, now + 0.01);
+  try {
+    oldest.source.stop(now + 0.015);
+  } catch (e) {
+    // The source may already have a stop time in the past; ignore.
+  }
+  releaseVoiceSlot(oldest);
+}
+
+// PeriodicWaves built from preset partials, cached per preset id.
+const periodicWaves = {};
+
+/**
+ * Create the sound source for one voice of the given preset: an
+ * oscillator with either a raw waveform or the preset's harmonics.
+ *
+ * @param {AudioContext} ctx Audio context
+ * @param {string} id Instrument preset id
+ * @param {number} freq Frequency in Hz
+ * @param {number} start Context time at which the source will start
+ * @returns {OscillatorNode} Unstarted source node
+ */
+function createVoiceSource(ctx, id, freq, start) {
+  const preset = INSTRUMENTS[id];
+  const osc = ctx.createOscillator();
+  if (preset.partials) {
+    if (!periodicWaves[id]) {
+      const real = new Float32Array(preset.partials.length + 1);
+      const imag = new Float32Array(preset.partials.length + 1);
+      preset.partials.forEach((amp, i) => {
+        imag[i + 1] = amp;
+      });
+      periodicWaves[id] = ctx.createPeriodicWave(real, imag);
+    }
+    osc.setPeriodicWave(periodicWaves[id]);
+  } else {
+    osc.type = preset.waveform;
+  }
+  osc.frequency.setValueAtTime(freq, start);
+  return osc;
+}
+
+// Output routing. Besides the local Web Audio synth, playback can be
+// sent as note-on/note-off messages to a MIDI output port (for example
+// a digital piano). When a port is set, local playback can be switched
+// off so that only the external instrument sounds.
+let midiOutput = null;
+let localPlayback = true;
+
+/**
+ * Route playback to a MIDI output port, or stop sending MIDI by passing
+ * null. Any notes still sounding on the previous port are silenced with
+ * an "all notes off" message.
+ *
+ * @param {MIDIOutput | null} port Output port (anything with send())
+ */
+export function setMidiOutput(port) {
+  if (midiOutput && midiOutput !== port) {
+    midiOutput.send([0xb0, 123, 0]);
+  }
+  midiOutput = port;
+}
+
+/**
+ * Enable or disable the local Web Audio synth. Local playback is always
+ * used when no MIDI output is set, so disabling it can never make the
+ * application silent.
+ *
+ * @param {boolean} enabled Whether to also play through the speakers
+ */
+export function setLocalPlayback(enabled) {
+  localPlayback = !!enabled;
+}
+
+/**
+ * Send a MIDI message at a given audio context time. Web MIDI
+ * timestamps use the performance.now() clock, so the context time is
+ * converted relative to the current moment.
+ *
+ * @param {number[]} data Raw MIDI bytes
+ * @param {number} when Context time at which the message should arrive
+ */
+function sendMidiAt(data, when) {
+  const delayMs = Math.max(0, (when - audioCtx.currentTime) * 1000);
+  midiOutput.send(data, performance.now() + delayMs);
+}
+
+/**
+ * Allocate a voice and start it. Depending on the output routing the
+ * voice plays through the local synth with the current instrument
+ * preset, is sent as a note-on to the MIDI output, or both. Locally the
+ * gain follows the preset's attack and decay towards the sustain level
+ * and holds there until stopVoice() triggers the release. If
+ * MAX_POLYPHONY local voices are already allocated, the oldest one is
+ * stolen first.
+ *
+ * @param {number} freq Frequency in Hz
+ * @param {Object} [options]
+ * @param {number} [options.when] Context time at which to start; defaults to now
+ * @param {number} [options.volume=0.3] Peak voice volume from 0 to 1; for
+ *        MIDI it maps to velocity, with 0.5 and above at full velocity
+ * @returns {Object} Voice handle to pass to stopVoice()
+ */
+export function startVoice(freq, { when, volume = 0.3 } = {}) {
+  const ctx = getAudioContext();
+  const start = Math.max(when ?? ctx.currentTime, ctx.currentTime);
+  const { envelope } = INSTRUMENTS[currentWaveform];
+  const voice = {
+    freq,
+    source: null,
+    gain: null,
+    envelope,
+    midiNote: null,
+    startTime: start,
+    stopTime: null,
+  };
+  if (midiOutput) {
+    voice.midiNote = freqToMidi(freq);
+    const velocity = Math.max(1, Math.min(127, Math.round(volume * 254)));
+    sendMidiAt([0x90, voice.midiNote, velocity], start);
+  }
+  if (!midiOutput || localPlayback) {
+    if (activeVoices.length >= MAX_POLYPHONY) {
+      stealOldestVoice();
+    }
+    const source = createVoiceSource(ctx, currentWaveform, freq, start);
+    const gain = ctx.createGain();
+    gain.gain.setValueAtTime(0, start);
+    gain.gain.linearRampToValueAtTime(volume, start + envelope.attack);
+    gain.gain.setTargetAtTime(
+      volume * envelope.sustain,
+      start + envelope.attack,
+      envelope.decay / 3
+    );
+    source.connect(gain).connect(masterGain);
+    voice.source = source;
+    voice.gain = gain;
+    source.onended = () => {
+      gain.disconnect();
+      releaseVoiceSlot(voice);
+    };
+    source.start(start);
+    activeVoices.push(voice);
+  }
+  return voice;
+}
+
+/**
+ * Release a voice previously started with startVoice(). A MIDI voice
+ * gets its note-off at the release time. A local voice fades out over
+ * the preset's release time and the source stops afterwards; its slot
+ * is returned to the pool once the source has actually ended.
+ *
+ * @param {Object} voice Voice handle
+ * @param {number} [when] Context time at which to release; defaults to now
+ */
+export function stopVoice(voice, when) {
+  if (!voice || voice.stopTime !== null) return;
+  const ctx = getAudioContext();
+  const stop = Math.max(when ?? ctx.currentTime, voice.startTime);
+  voice.stopTime = stop;
+  if (voice.midiNote !== null && midiOutput) {
+    sendMidiAt([0x80, voice.midiNote, 0], stop);
+  }
+  if (!voice.source) return;
+  const { release } = voice.envelope;
+  const g = voice.gain.gain;
+  // Hold whatever level the attack/decay reached at the release point.
+  if (g.cancelAndHoldAtTime) {
+    g.cancelAndHoldAtTime(stop);
+  } else {
+    g.cancelScheduledValues(stop);
+  }
+  g.setTargetAtTime(0, stop, release / 4);
+  voice.stopTime = stop + release;
+  voice.source.stop(voice.stopTime);
+}
+
+// Live note state for instruments played in real time (virtual piano,
+// MIDI keyboards). heldNotes maps a note name to the voice started by
+// noteOn(); sustainedNotes holds voices whose key has been released
+// while the sustain pedal is down.
+const heldNotes = new Map();
+const sustainedNotes = new Map();
+let sustainPedal = false;
+
+/**
+ * Start a note that keeps sounding until noteOff() is called for the
+ * same note name. Re-striking a note that is still ringing (held or
+ * sustained) releases the previous voice first, as on a real piano.
+ * Slow mode does not apply because the duration is controlled by the
+ * player.
+ *
+ * @param {string} name Note name (e.g. "C4")
+ * @param {number} [volume=0.35] Volume from 0 to 1
+ */
+export function noteOn(name, volume = 0.35) {
+  stopVoice(heldNotes.get(name));
+  stopVoice(sustainedNotes.get(name));
+  sustainedNotes.delete(name);
+  heldNotes.set(name, startVoice(noteNameToFreq(name), { volume }));
+}
+
+/**
+ * Release a note started with noteOn(). If the sustain pedal is down the
+ * note keeps ringing until the pedal is lifted.
+ *
+ * @param {string} name Note name (e.g. "C4")
+ */
+export function noteOff(name) {
+  const voice = heldNotes.get(name);
+  if (!voice) return;
+  heldNotes.delete(name);
+  if (sustainPedal) {
+    sustainedNotes.set(name, voice);
+  } else {
+    stopVoice(voice);
+  }
+}
+
+/**
+ * Press or lift the sustain pedal. Lifting it releases every note whose
+ * key was let go while the pedal was down; notes still held keep
+ * sounding.
+ *
+ * @param {boolean} down True to press the pedal, false to lift it
+ */
+export function setSustain(down) {
+  sustainPedal = !!down;
+  if (!sustainPedal) {
+    sustainedNotes.forEach((voice) => stopVoice(voice));
+    sustainedNotes.clear();
+  }
+}
+
+/**
+ * Whether the sustain pedal is currently pressed.
+ *
+ * @returns {boolean} Pedal state
+ */
+export function isSustainOn() {
+  return sustainPedal;
+}
+
+/**
+ * Resolve a note given either as a name ("C4") or as {pc, octave} to
+ * its frequency.
+ *
+ * @param {string | {pc: string, octave: number}} note Note to resolve
+ * @returns {number} Frequency in Hz
+ */
+function noteToFreq(note) {
+  if (typeof note === 'string') return noteNameToFreq(note);
+  return pitchClassToFreq(note.pc, note.octave);
+}
+
 /**
  * Play a single note specified either by a pitch class & octave or by
  * a note name. If a note name string is provided, the octave
@@ -159,93 +829,143 @@ export function noteNameToFreq(name) {
  */
 export function playSingleNote(pcOrName, octave, duration = 1, volume = 0.3) {
   let freq;
-  if (typeof octave === 'number') {
+  if (!/\d$/.test(pcOrName)) {
     // Provided a pitch class and octave
     freq = pitchClassToFreq(pcOrName, octave);
   } else {
     // Provided a full note name
     freq = noteNameToFreq(pcOrName);
-    // Shift arguments: duration becomes the third parameter
+    // Shift arguments: duration becomes the second parameter
     duration = octave ?? 1;
     volume = arguments[2] ?? 0.3;
   }
-  const ctx = new (window.AudioContext || window.webkitAudioContext)();
-  const osc = ctx.createOscillator();
-  osc.type = currentWaveform;
-  osc.frequency.setValueAtTime(freq, ctx.currentTime);
-  const gain = ctx.createGain();
-  gain.gain.setValueAtTime(volume, ctx.currentTime);
-  osc.connect(gain).connect(ctx.destination);
-  const dur = duration * slowFactor;
-  osc.start();
-  osc.stop(ctx.currentTime + dur);
-  setTimeout(() => ctx.close(), dur * 1000 + 100);
+  const now = getAudioContext().currentTime;
+  const voice = startVoice(freq, { when: now, volume });
+  stopVoice(voice, now + duration * slowFactor);
+}
+
+/**
+ * Move a chord into a range by whole octaves, keeping the spelling and
+ * the order of the notes (so the inversion is preserved). Of the
+ * positions that fit, the one closest to the middle of the range is
+ * chosen. A chord that does not fit keeps its bass at the bottom of the
+ * range and the notes sticking out above are dropped by octaves towards
+ * the bass.
+ *
+ * @param {string[]} notes Spelled note names with octave, lowest first
+ * @param {{low: number, high: number}} [range=chordRange] Inclusive MIDI range
+ * @returns {string[]} Voiced note names
+ */
+export function voiceInRange(notes, range = chordRange) {
+  const parsed = notes.map((n) => parseSpelledNote(n));
+  const midis = parsed.map((n) => spelledNoteToMidi(n));
+  const bass = midis[0];
+  const top = Math.max(...midis);
+  const centre = (range.low + range.high) / 2;
+  let shift = Math.ceil((range.low - bass) / 12);
+  for (let s = shift + 1; top + 12 * s <= range.high; s++) {
+    const distance = (d) => Math.abs((bass + top) / 2 + 12 * d - centre);
+    if (top + 12 * shift > range.high || distance(s) < distance(shift)) shift = s;
+  }
+  return parsed.map((n, i) => {
+    let octave = n.octave + shift;
+    let midi = midis[i] + 12 * shift;
+    while (midi > range.high && midi - 12 > bass + 12 * shift) {
+      octave -= 1;
+      midi -= 12;
+    }
+    return spelledNoteName({ ...n, octave });
+  });
 }
 
 /**
  * Play multiple notes simultaneously as a chord. The input may be an array
  * of note names (e.g. ["C4", "E4", "G4"]) or objects with pc and octave.
+ * The chord is voiced within chordRange (see voiceInRange()).
  *
- * @param {(string | {pc: string, octave: number})[]} notes Array of notes
+ * @param {(string | {pc: string, octave: number})[]} notes Array of notes, lowest first
  * @param {number} [duration=1] Duration in seconds
- * @param {number} [volume=0.25] Volume per oscillator
+ * @param {number} [volume=0.25] Volume per voice
  */
 export function playChord(notes, duration = 1, volume = 0.25) {
-  const ctx = new (window.AudioContext || window.webkitAudioContext)();
-  const now = ctx.currentTime;
-  notes.forEach((n) => {
-    let freq;
-    if (typeof n === 'string') {
-      freq = noteNameToFreq(n);
-    } else {
-      freq = pitchClassToFreq(n.pc, n.octave);
-    }
-    const osc = ctx.createOscillator();
-    osc.type = currentWaveform;
-    osc.frequency.setValueAtTime(freq, now);
-    const gain = ctx.createGain();
-    gain.gain.setValueAtTime(volume, now);
-    osc.connect(gain).connect(ctx.destination);
-    const dur = duration * slowFactor;
-    osc.start(now);
-    osc.stop(now + dur);
+  const now = getAudioContext().currentTime;
+  const dur = duration * slowFactor;
+  const names = notes.map((n) => (typeof n === 'string' ? n : `${n.pc}${n.octave}`));
+  voiceInRange(names).forEach((n) => {
+    const voice = startVoice(noteToFreq(n), { when: now, volume });
+    stopVoice(voice, now + dur);
+  });
+}
+
+/**
+ * Play a chord as an arpeggio: the notes start one after another from
+ * the lowest and keep sounding until the last one has rung for a full
+ * step. The chord is voiced within chordRange like in playChord().
+ *
+ * @param {string[]} notes Note names, lowest first
+ * @param {number} [step=0.4] Time between consecutive notes in seconds
+ * @param {number} [volume=0.25] Volume per voice
+ */
+export function playArpeggio(notes, step = 0.4, volume = 0.25) {
+  const now = getAudioContext().currentTime;
+  const dur = step * slowFactor;
+  const voiced = voiceInRange(notes);
+  const end = now + (voiced.length + 1) * dur;
+  voiced.forEach((n, idx) => {
+    const voice = startVoice(noteToFreq(n), { when: now + idx * dur, volume });
+    stopVoice(voice, end);
   });
-  const durAll = duration * slowFactor;
-  setTimeout(() => ctx.close(), durAll * 1000 + 200);
 }
 
 /**
- * Play two notes in succession to illustrate an interval.
- * The notes may be specified as strings or as objects with pc and octave.
+ * Play notes one after another, e.g. a scale. Every note lasts one
+ * step; the last one rings a little longer.
+ *
+ * @param {(string | {pc: string, octave: number})[]} notes Notes in playing order
+ * @param {number} [step=0.45] Time between consecutive notes in seconds
+ * @param {number} [volume=0.3] Volume level
+ * @returns {number} Total length of the melody in seconds
+ */
+export function playMelody(notes, step = 0.45, volume = 0.3) {
+  const now = getAudioContext().currentTime;
+  const dur = step * slowFactor;
+  notes.forEach((note, idx) => {
+    const voice = startVoice(noteToFreq(note), { when: now + idx * dur, volume });
+    stopVoice(voice, now + (idx + (idx === notes.length - 1 ? 2 : 1)) * dur);
+  });
+  return (notes.length + 1) * dur;
+}
+
+/**
+ * Play two notes to illustrate an interval: one after the other, upwards
+ * or downwards, or both together (a harmonic interval). The notes may be
+ * specified as strings or as objects with pc and octave, lower note
+ * first.
  *
  * @param {(string | {pc: string, octave: number})[]} notes Two-note array
  * @param {number} [duration=0.8] Duration of each note in seconds
  * @param {number} [volume=0.3] Volume level
+ * @param {'ascending'|'descending'|'harmonic'} [direction='ascending'] How to play the notes
  */
-export function playInterval(notes, duration = 0.8, volume = 0.3) {
+export function playInterval(notes, duration = 0.8, volume = 0.3, direction = 'ascending') {
   if (!Array.isArray(notes) || notes.length !== 2) {
     throw new Error('playInterval expects an array of two notes');
   }
-  const ctx = new (window.AudioContext || window.webkitAudioContext)();
-  const now = ctx.currentTime;
+  const now = getAudioContext().currentTime;
   const dur = duration * slowFactor;
-  notes.forEach((note, idx) => {
-    let freq;
-    if (typeof note === 'string') {
-      freq = noteNameToFreq(note);
-    } else {
-      freq = pitchClassToFreq(note.pc, note.octave);
-    }
-    const osc = ctx.createOscillator();
-    osc.type = currentWaveform;
-    osc.frequency.setValueAtTime(freq, now + idx * dur);
-    const gain = ctx.createGain();
-    gain.gain.setValueAtTime(volume, now + idx * dur);
-    osc.connect(gain).connect(ctx.destination);
-    osc.start(now + idx * dur);
-    osc.stop(now + (idx + 1) * dur);
+  if (direction === 'harmonic') {
+    // Both notes together, held as long as the melodic version lasts
+    notes.forEach((note) => {
+      const voice = startVoice(noteToFreq(note), { when: now, volume });
+      stopVoice(voice, now + 2 * dur);
+    });
+    return;
+  }
+  const ordered = direction === 'descending' ? [notes[1], notes[0]] : notes;
+  ordered.forEach((note, idx) => {
+    const voice = startVoice(noteToFreq(note), { when: now + idx * dur, volume });
+    stopVoice(voice, now + (idx + 1) * dur);
   });
-  setTimeout(() => ctx.close(), dur * notes.length * 1000 + 200);
 }
 
 /**
@@ -259,18 +979,18 @@ export function playInterval(notes, duration = 0.8, volume = 0.3) {
  */
 export function semitoneDistance(freq1, freq2) {
   // Convert frequencies to MIDI note numbers
-  const m1 = 12 * Math.log2(freq1 / 440) + 69;
-  const m2 = 12 * Math.log2(freq2 / 440) + 69;
+  const m1 = 12 * Math.log2(freq1 / tuningReference) + 69;
+  const m2 = 12 * Math.log2(freq2 / tuningReference) + 69;
   const diff = Math.round(m2) - Math.round(m1);
   return ((diff % 12) + 12) % 12;
 }
 
 /**
  * Map a semitone difference to a human‑readable interval name in Polish.
- * This table covers simple intervals up to an octave. Larger leaps are
- * reduced modulo 12 (e.g. 14 semitones → sekunda wielka).
+ * This table covers intervals up to two octaves, including the compound
+ * ones (nona, decyma…). Larger leaps are given as a number of semitones.
  *
- * @param {number} semitones Semitone difference 0–11
+ * @param {number} semitones Semitone difference 0–24
  * @returns {string} Interval name (Polish)
  */
 export function intervalNameFromSemitone(semitones) {
@@ -287,10 +1007,66 @@ export function intervalNameFromSemitone(semitones) {
     9: 'seksta wielka',
     10: 'septyma mała',
     11: 'septyma wielka',
+    12: 'oktawa czysta',
+    13: 'nona mała',
+    14: 'nona wielka',
+    15: 'decyma mała',
+    16: 'decyma wielka',
+    17: 'undecyma czysta',
+    18: 'undecyma zwiększona',
+    19: 'duodecyma czysta',
+    20: 'tercdecyma mała',
+    21: 'tercdecyma wielka',
+    22: 'kwartdecyma mała',
+    23: 'kwartdecyma wielka',
+    24: 'kwintdecyma czysta',
   };
   return names[semitones] || `${semitones} półtonów`;
 }
 
+/**
+ * Compare a played note with the expected one. In the default, lenient
+ * mode only the pitch classes have to agree, so any octave is accepted.
+ * In strict mode the MIDI note numbers must be equal; a note with the
+ * right pitch class in another octave is reported as 'octave' so that
+ * exercises can tell the user they played the right note in the wrong
+ * register.
+ *
+ * @param {number} played MIDI note number that was played
+ * @param {number} expected MIDI note number that was expected
+ * @param {boolean} [strict=false] Whether the octave must match too
+ * @returns {'match' | 'octave' | 'wrong'} Result of the comparison
+ */
+export function compareNotes(played, expected, strict = false) {
+  if (played === expected) return 'match';
+  if (midiToPitchClass(played) !== midiToPitchClass(expected)) return 'wrong';
+  return strict ? 'octave' : 'match';
+}
+
+/**
+ * Keep a checkbox's state in localStorage under the given key, restoring
+ * it when the page loads. Used for per-exercise options such as the
+ * strict (octave-aware) mode.
+ *
+ * @param {HTMLInputElement} checkbox Checkbox to persist
+ * @param {string} key localStorage key
+ */
+export function persistCheckbox(checkbox, key) {
+  try {
+    const saved = localStorage.getItem(key);
+    if (saved !== null) checkbox.checked = saved === '1';
+  } catch (e) {
+    // localStorage might be unavailable; ignore errors
+  }
+  checkbox.addEventListener('change', () => {
+    try {
+      localStorage.setItem(key, checkbox.checked ? '1' : '0');
+    } catch (e) {
+      // localStorage might be unavailable; ignore errors
+    }
+  });
+}
+
 /**
  * Award a certain number of stars to the user and persist them in localStorage.
  * Stars are a simple scoring mechanism used in the application to track
@@ -0,0 +1,73 @@
+import { PitchDetector } from './lib/pitchy.js';
+import FFT from './lib/fft.js';
+
+/*
+ * Per-frame audio features used by NoteDetector. For each buffer the
+ * FrameAnalyser reports Pitchy's pitch and clarity together with the
+ * RMS level and the spectral flux, i.e. how much the (log-compressed)
+ * magnitude spectrum grew since the previous frame. Level and flux are
+ * what NoteSegmenter uses to find note onsets, including a repeated
+ * note struck again at the same pitch.
+ *
+ * The module has no DOM or Web Audio dependencies so that it can run
+ * both inside the AudioWorklet (pitchWorklet.js) and on the main thread
+ * in the ScriptProcessor fallback.
+ */
+
+export class FrameAnalyser {
+  /**
+   * @param {number} bufferLength Frame size in samples (power of two)
+   * @param {Object} [options] Analysis options
+   * @param {number} [options.gateDb] Noise gate as RMS level in dBFS;
+   *        quieter frames get no pitch. Omit or pass -Infinity for none.
+   */
+  constructor(bufferLength, { gateDb } = {}) {
+    this.bufferLength = bufferLength;
+    this.detector = PitchDetector.forFloat32Array(bufferLength);
+    if (Number.isFinite(gateDb)) {
+      // Pitchy turns its decibels into an RMS amplitude with 10^(dB/10),
+      // so a 20·log10 RMS level has to be halved.
+      this.detector.minVolumeDecibels = Math.min(0, gateDb / 2);
+    }
+    this.fft = new FFT(bufferLength);
+    this.window = new Float32Array(bufferLength);
+    for (let i = 0; i < bufferLength; i++) {
+      this.window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (bufferLength - 1));
+    }
+    this.windowed = new Float32Array(bufferLength);
+    this.spectrum = this.fft.createComplexArray();
+    this.prevLogMags = new Float32Array(bufferLength / 2);
+  }
+
+  /**
+   * Analyse one frame.
+   *
+   * @param {Float32Array} buffer Samples; must be bufferLength long
+   * @param {number} sampleRate Sample rate in Hz
+   * @returns {{pitch: number, clarity: number, rms: number, flux: number}}
+   *          Frame features; flux is the mean positive change of the
+   *          log-magnitude spectrum per bin
+   */
+  analyse(buffer, sampleRate) {
+    const [pitch, clarity] = this.detector.findPitch(buffer, sampleRate);
+    let sum = 0;
+    for (let i = 0; i < this.bufferLength; i++) {
+      sum += buffer[i] * buffer[i];
+      this.windowed[i] = buffer[i] * this.window[i];
+    }
+    const rms = Math.sqrt(sum / this.bufferLength);
+    this.fft.realTransform(this.spectrum, this.windowed);
+    let flux = 0;
+    const bins = this.prevLogMags.length;
+    for (let k = 0; k < bins; k++) {
+      const re = this.spectrum[2 * k];
+      const im = this.spectrum[2 * k + 1];
+      // Log compression keeps quiet partials from being drowned out
+      const logMag = Math.log1p(100 * Math.sqrt(re * re + im * im));
+      const rise = logMag - this.prevLogMags[k];
+      if (rise > 0) flux += rise;
+      this.prevLogMags[k] = logMag;
+    }
+    return { pitch, clarity, rms, flux: flux / bins };
+  }
+}
\ No newline at end of file
@@ -1,40 +1,91 @@
 import { NoteDetector } from './noteDetector.js';
+import { PianoKeyboard } from './keyboard.js';
+import { connectMidiInputSelect } from './midi.js';
+import { renderNotation } from './notation.js';
+import { Interval, Note, polishIntervalName } from './theory.js';
 import {
   playInterval,
-  freqToPitchClass,
-  parseNoteName,
-  NOTE_NAMES,
+  midiToPitchClass,
+  noteNameToMidi,
+  midiToNoteName,
+  spellMidi,
+  formatNoteName,
+  keySignatureFifths,
   intervalNameFromSemitone,
+  compareNotes,
+  persistCheckbox,
   addStars,
 } from './common.js';
 
-// Define the set of intervals used in this lesson as semitone distances.
-// Each entry contains the number of semitones and the corresponding
-// descriptive name in Polish. Compound intervals are reduced modulo 12.
+/*
+ * This module defines the interval lesson. In the default mode the
+ * interval's name and notes are shown and the learner plays them (via
+ * microphone, MIDI or the on-screen keyboard). In the ear-training mode
+ * the interval stays hidden: it is played upwards, downwards or
+ * harmonically and the learner names it with the INTERVAL_OPTIONS
+ * buttons. Accuracy per interval is kept in localStorage.
+ */
+
+// The intervals used in this lesson, in tonal notation, from the unison
+// up to two octaves. The interval name fixes how the upper note is
+// spelled (a tritone is spelled as an augmented fourth); each option
+// also carries the number of semitones and the corresponding
+// descriptive name in Polish. Compound intervals (nona, decyma…) keep
+// their full size and are only offered when enabled.
 const INTERVAL_OPTIONS = [
-  { semitone: 1, name: 'sekunda mała' },
-  { semitone: 2, name: 'sekunda wielka' },
-  { semitone: 3, name: 'tercja mała' },
-  { semitone: 4, name: 'tercja wielka' },
-  { semitone: 5, name: 'kwarta czysta' },
-  { semitone: 6, name: 'tryton' },
-  { semitone: 7, name: 'kwinta czysta' },
-  { semitone: 8, name: 'seksta mała' },
-  { semitone: 9, name: 'seksta wielka' },
-  { semitone: 10, name: 'septyma mała' },
-  { semitone: 11, name: 'septyma wielka' },
-];
+  '1P', '2m', '2M', '3m', '3M', '4P', '4A', '5P', '6m', '6M', '7m', '7M', '8P',
+  '9m', '9M', '10m', '10M', '11P', '11A', '12P', '13m', '13M', '14m', '14M', '15P',
+].map((name) => {
+  const ivl = Interval.get(name);
+  return {
+    interval: name,
+    semitone: ivl.semitones,
+    name: polishIntervalName(name),
+  };
+});
+
+// Size of the octave in semitones; wider intervals are compound ones
+const OCTAVE = 12;
+
+// localStorage keys of the lesson settings and of the per-interval
+// accuracy in the ear-training mode
+const SETTINGS_KEY = 'pianoIntervalSettings';
+const STATS_KEY = 'pianoIntervalStats';
+
+// Ways of playing a hidden interval in the ear-training mode
+const DIRECTIONS = ['ascending', 'descending', 'harmonic'];
+// How each direction is described once a hidden interval is revealed
+const DIRECTION_NAMES = { ascending: 'w górę', descending: 'w dół', harmonic: 'razem' };
 
 // Possible starting notes for interval generation. We keep to a reasonable
 // range to avoid very high or very low frequencies during playback.
-const BASE_NOTES = ['C3', 'D3', 'E3', 'F3', 'G3', 'A3', 'B3', 'C4', 'D4', 'E4'];
+const BASE_NOTES = [
+  'C3', 'D3', 'Eb3', 'E3', 'F3', 'F#3', 'G3', 'A3', 'Bb3', 'B3', 'C4', 'D4', 'Eb4', 'E4',
+];
 
+// Highest note of the on-screen keyboard; the upper note of an interval
+// must not go beyond it, which limits the base note of wide intervals.
+const HIGHEST_MIDI = noteNameToMidi('C6');
+
+let currentOption = null;
 let currentIntervalSemitone = null;
-let currentIntervalDescription = '';
 let expectedIntervalNotes = [];
-let userPitchClasses = [];
+// Notes played so far: pitch classes, or note names with octave in strict
+// mode, and their MIDI numbers
+let userNotes = [];
+let userMidis = [];
 let detector = null;
 let recordStartTime = null;
+// True while an attempt is in progress (microphone or keyboard input).
+let answering = false;
+// True once the current interval has been played correctly; played notes
+// are ignored until a new interval is shown
+let solved = false;
+// Ear-training state: how the hidden interval is played, whether it has
+// been answered, and the session score
+let currentDirection = 'ascending';
+let quizAnswered = false;
+let quizScore = { correct: 0, total: 0 };
 
 // DOM references
 const intervalNameEl = document.getElementById('interval-name');
@@ -43,138 +94,527 @@ const expectedListEl = document.getElementById('expected-interval-notes');
 const userListEl = document.getElementById('interval-user-notes');
 const statusEl = document.getElementById('interval-status');
 const intervalInfoEl = document.getElementById('interval-info');
+const intervalStaffEl = document.getElementById('interval-staff');
 
 // Buttons
 const nextBtn = document.getElementById('next-interval');
 const playBtn = document.getElementById('play-interval');
 const recordBtn = document.getElementById('start-record');
+const strictCheckbox = document.getElementById('strict-mode');
+const modeSelect = document.getElementById('mode');
+const intervalSetSelect = document.getElementById('interval-set');
+const directionSelect = document.getElementById('direction');
+
+// Ear-training elements
+const earQuizEl = document.getElementById('ear-quiz');
+const intervalButtonsEl = document.getElementById('interval-buttons');
+const quizScoreEl = document.getElementById('quiz-score');
+const statsTableEl = document.getElementById('interval-stats');
+const resetStatsBtn = document.getElementById('reset-stats');
+const playOptionsEl = document.getElementById('play-options');
+const playAnswerEl = document.getElementById('play-answer');
+
+/**
+ * Identify a played note for comparison: by pitch class, or by full
+ * note name when the octave matters (strict mode).
+ *
+ * @param {number} midi MIDI note number
+ * @returns {string} Pitch class or note name
+ */
+function noteKey(midi) {
+  return strictCheckbox.checked ? midiToNoteName(midi) : midiToPitchClass(midi);
+}
+
+/**
+ * Spell a played note for display, relative to the major key of the
+ * interval's lower note, with the octave only in strict mode.
+ *
+ * @param {number} midi MIDI note number
+ * @returns {string} Display name, e.g. "F♯" or "F♯3"
+ */
+function displayName(midi) {
+  const tonic = expectedIntervalNotes[0].replace(/-?\d+$/, '');
+  const name = spellMidi(midi, keySignatureFifths(tonic), expectedIntervalNotes);
+  return formatNoteName(strictCheckbox.checked ? name : name.replace(/-?\d+$/, ''));
+}
+
+/**
+ * Show the two notes of the current interval, as pitch classes or, in
+ * strict mode, with octaves.
+ */
+function renderExpectedNotes() {
+  expectedListEl.innerHTML = '';
+  expectedIntervalNotes.forEach((n) => {
+    const midi = noteNameToMidi(n);
+    const span = document.createElement('span');
+    span.textContent = displayName(midi);
+    span.dataset.note = noteKey(midi);
+    expectedListEl.appendChild(span);
+  });
+}
+
+/**
+ * Write the current interval on the grand staff the way it is played:
+ * one note after the other, or as a chord when played harmonically.
+ */
+function renderIntervalStaff() {
+  const direction = isEarMode() ? currentDirection : 'ascending';
+  let items;
+  if (direction === 'harmonic') {
+    items = [{ keys: expectedIntervalNotes, duration: 'w' }];
+  } else {
+    const notes =
+      direction === 'descending' ? [...expectedIntervalNotes].reverse() : expectedIntervalNotes;
+    items = notes.map((n) => ({ keys: [n], duration: 'w' }));
+  }
+  renderNotation(intervalStaffEl, { clef: 'grand', items, width: 260, label: currentOption.name });
+}
+
+/**
+ * Intervals offered with the current settings: up to the octave, or up
+ * to two octaves when compound intervals are enabled.
+ *
+ * @returns {{interval: string, semitone: number, name: string}[]}
+ */
+function activeOptions() {
+  const compound = intervalSetSelect.value === 'compound';
+  return INTERVAL_OPTIONS.filter((o) => compound || o.semitone <= OCTAVE);
+}
+
+/**
+ * Describe the current interval by its size in semitones and, in the
+ * ear-training mode, the direction it was played in, e.g. "4 półtony,
+ * zagrany w dół".
+ *
+ * @returns {string} Description
+ */
+function describeInterval() {
+  const n = currentIntervalSemitone;
+  const few = n % 10 >= 2 && n % 10 <= 4 && (n < 12 || n > 14);
+  const size = `${n} ${n === 1 ? 'półton' : few ? 'półtony' : 'półtonów'}`;
+  return isEarMode() ? `${size}, zagrany ${DIRECTION_NAMES[currentDirection]}` : size;
+}
 
 /**
- * Generate a new random interval exercise. Select a semitone difference
- * and generate two notes demonstrating that interval. The base note is
- * chosen from BASE_NOTES and the second note is computed by adding
- * semitones.
+ * Generate a new random interval exercise. Select an interval and
+ * generate two notes demonstrating it. The base note is chosen from
+ * BASE_NOTES, low enough for the upper note to fit on the keyboard, and
+ * the second note is computed by transposing it by the interval in the
+ * theory layer, so it is spelled correctly (E♭–G♭ for a minor third,
+ * not E♭–F♯, and E♭–G♭ an octave higher for a minor tenth).
  */
 function pickRandomInterval() {
   // Pick an interval option at random
-  const option = INTERVAL_OPTIONS[Math.floor(Math.random() * INTERVAL_OPTIONS.length)];
+  const options = activeOptions();
+  const option = options[Math.floor(Math.random() * options.length)];
+  currentOption = option;
   currentIntervalSemitone = option.semitone;
-  currentIntervalDescription = option.name;
   // Pick a starting note from the base notes array
-  const baseName = BASE_NOTES[Math.floor(Math.random() * BASE_NOTES.length)];
-  // Parse the base into pitch class and octave
-  const { pc: basePc, octave: baseOct } = parseNoteName(baseName);
-  // Compute MIDI numbers. C-1 = 0, so add (octave+1)*12
-  const midiBase = NOTE_NAMES.indexOf(basePc) + (baseOct + 1) * 12;
-  const midiSecond = midiBase + currentIntervalSemitone;
-  // Derive the second note's pitch class and octave
-  const secondPc = NOTE_NAMES[((midiSecond % 12) + 12) % 12];
-  const secondOct = Math.floor(midiSecond / 12) - 1;
-  const secondName = `${secondPc}${secondOct}`;
+  const bases = BASE_NOTES.filter((n) => noteNameToMidi(n) + option.semitone <= HIGHEST_MIDI);
+  const baseName = bases[Math.floor(Math.random() * bases.length)];
+  const secondName = Note.transpose(baseName, option.interval);
   expectedIntervalNotes = [baseName, secondName];
   // Update DOM
   intervalNameEl.textContent = option.name;
-  intervalDescEl.textContent = option.name;
-  expectedListEl.innerHTML = '';
-  // Show the pitch classes of the two notes (without octaves) as reference
-  expectedIntervalNotes.forEach((n) => {
-    const { pc } = parseNoteName(n);
-    const span = document.createElement('span');
-    span.textContent = pc;
-    span.dataset.pc = pc;
-    expectedListEl.appendChild(span);
+  renderExpectedNotes();
+  intervalInfoEl.classList.toggle('hidden', isEarMode());
+  // Reset user state; the answer is timed from the moment the interval is shown
+  finishAnswer();
+  recordStartTime = performance.now();
+  solved = false;
+  userNotes = [];
+  userMidis = [];
+  userListEl.innerHTML = '';
+  statusEl.textContent = '';
+  statusEl.className = 'status';
+  // A hidden interval is played in the chosen or a random direction
+  currentDirection =
+    directionSelect.value === 'mixed'
+      ? DIRECTIONS[Math.floor(Math.random() * DIRECTIONS.length)]
+      : directionSelect.value;
+  intervalDescEl.textContent = describeInterval();
+  quizAnswered = false;
+  intervalButtonsEl.querySelectorAll('button').forEach((b) => b.classList.remove('selected'));
+  renderIntervalStaff();
+}
+
+/**
+ * True when the ear-training mode is selected.
+ *
+ * @returns {boolean}
+ */
+function isEarMode() {
+  return modeSelect.value === 'ear';
+}
+
+/**
+ * Play the current interval: upwards in the default mode, in the chosen
+ * direction in the ear-training mode.
+ */
+function playCurrentInterval() {
+  if (!expectedIntervalNotes || expectedIntervalNotes.length !== 2) return;
+  playInterval(expectedIntervalNotes, 0.8, 0.3, isEarMode() ? currentDirection : 'ascending');
+}
+
+/**
+ * Read the per-interval accuracy from localStorage.
+ *
+ * @returns {Object<string, {correct: number, total: number}>} Counts keyed
+ *   by interval name in tonal notation
+ */
+function loadStats() {
+  try {
+    return JSON.parse(localStorage.getItem(STATS_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * Record one answer for an interval in the per-interval accuracy.
+ *
+ * @param {string} interval Interval name in tonal notation
+ * @param {boolean} correct Whether the answer was right
+ */
+function recordAnswer(interval, correct) {
+  const stats = loadStats();
+  const entry = stats[interval] || { correct: 0, total: 0 };
+  entry.total += 1;
+  if (correct) entry.correct += 1;
+  stats[interval] = entry;
+  try {
+    localStorage.setItem(STATS_KEY, JSON.stringify(stats));
+  } catch (e) {
+    // localStorage might be unavailable; ignore errors
+  }
+}
+
+/**
+ * Show the session score and the stored accuracy of every interval that
+ * has been answered at least once.
+ */
+function renderStats() {
+  const { correct, total } = quizScore;
+  quizScoreEl.textContent = total
+    ? `Wynik: ${correct}/${total} (${Math.round((correct / total) * 100)}%)`
+    : '';
+  const stats = loadStats();
+  statsTableEl.innerHTML = '';
+  // All intervals ever answered, also those not offered at the moment
+  INTERVAL_OPTIONS.filter((o) => stats[o.interval]).forEach((o) => {
+    const { correct: c, total: t } = stats[o.interval];
+    const row = statsTableEl.insertRow();
+    row.insertCell().textContent = o.name;
+    row.insertCell().textContent = `${c}/${t}`;
+    row.insertCell().textContent = `${Math.round((c / t) * 100)}%`;
   });
+}
+
+/**
+ * Create an answer button for every interval offered.
+ */
+function renderIntervalButtons() {
+  intervalButtonsEl.innerHTML = '';
+  activeOptions().forEach((option) => {
+    const btn = document.createElement('button');
+    btn.className = 'btn';
+    btn.textContent = option.name;
+    btn.dataset.interval = option.interval;
+    btn.addEventListener('click', () => answerQuiz(option));
+    intervalButtonsEl.appendChild(btn);
+  });
+}
+
+/**
+ * Judge an answer in the ear-training mode, update the score and the
+ * per-interval accuracy, and reveal the interval.
+ *
+ * @param {{interval: string, name: string}} option Chosen interval
+ */
+function answerQuiz(option) {
+  if (quizAnswered || !currentOption) return;
+  quizAnswered = true;
+  intervalButtonsEl.querySelectorAll('button').forEach((b) => {
+    b.classList.toggle('selected', b.dataset.interval === option.interval);
+  });
+  const correct = option.interval === currentOption.interval;
+  quizScore.total += 1;
+  if (correct) quizScore.correct += 1;
+  recordAnswer(currentOption.interval, correct);
+  const played = DIRECTION_NAMES[currentDirection];
+  if (correct) {
+    statusEl.textContent = `Dobrze! To ${currentOption.name} (${played}). ★`;
+    statusEl.className = 'status result-success';
+    addStars(1);
+  } else {
+    intervalFailed(`Niestety, to ${currentOption.name} (${played}).`);
+  }
   intervalInfoEl.classList.remove('hidden');
-  // Reset user state
-  userPitchClasses = [];
+  renderStats();
+}
+
+/**
+ * Save the mode and the playback direction in localStorage.
+ */
+function saveSettings() {
+  try {
+    localStorage.setItem(
+      SETTINGS_KEY,
+      JSON.stringify({
+        mode: modeSelect.value,
+        direction: directionSelect.value,
+        intervalSet: intervalSetSelect.value,
+      }),
+    );
+  } catch (e) {
+    // localStorage might be unavailable; ignore errors
+  }
+}
+
+/**
+ * Restore the mode and the playback direction saved in localStorage.
+ */
+function loadSettings() {
+  let saved = null;
+  try {
+    saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+  } catch (e) {
+    // localStorage might be unavailable or hold invalid data
+  }
+  if (!saved) return;
+  [
+    [modeSelect, saved.mode],
+    [directionSelect, saved.direction],
+    [intervalSetSelect, saved.intervalSet],
+  ].forEach(([select, value]) => {
+    if ([...select.options].some((o) => o.value === value)) select.value = value;
+  });
+}
+
+/**
+ * Switch between playing the shown interval and naming a hidden one by
+ * ear. Starts a new interval so that a revealed one is not quizzed.
+ */
+function updateMode() {
+  const ear = isEarMode();
+  earQuizEl.classList.toggle('hidden', !ear);
+  playOptionsEl.classList.toggle('hidden', ear);
+  playAnswerEl.classList.toggle('hidden', ear);
+  userListEl.classList.toggle('hidden', ear);
+  recordBtn.classList.toggle('hidden', ear);
+  pickRandomInterval();
+}
+
+/**
+ * Reset the user's notes and start a new attempt.
+ */
+function beginAnswer() {
+  userNotes = [];
+  userMidis = [];
   userListEl.innerHTML = '';
   statusEl.textContent = '';
   statusEl.className = 'status';
+  answering = true;
 }
 
 /**
- * Start capturing two notes from the user via microphone. After two
- * distinct pitch classes are detected, determine the interval and
- * compare it to the expected one.
+ * End the current attempt and release the microphone if it is in use.
  */
-async function startRecording() {
-  // Stop any existing detector
+function finishAnswer() {
+  answering = false;
   if (detector) {
     detector.stop();
     detector = null;
   }
-  userPitchClasses = [];
-  userListEl.innerHTML = '';
+}
+
+/**
+ * Handle a note played by the user, whether it was detected by the
+ * microphone or pressed on the on-screen keyboard. After two distinct
+ * notes have been played, the interval is evaluated; for a unison the
+ * same note is simply struck twice. Notes an octave apart are distinct,
+ * so octaves and compound intervals can be played. A keyboard press
+ * outside an attempt starts a new one; once the interval has been solved
+ * further notes are ignored. In the ear-training mode the interval is
+ * named, not played, so notes (e.g. from a MIDI keyboard) are ignored as
+ * well.
+ *
+ * @param {number} midi MIDI note number of the played note
+ */
+function handleNote(midi) {
+  if (solved || isEarMode()) return;
+  if (!answering) beginAnswer();
+  const key = noteKey(midi);
+  // Only record unique notes until we have two.
+  if (currentIntervalSemitone === 0 || !userMidis.includes(midi)) {
+    userNotes.push(key);
+    userMidis.push(midi);
+    const span = document.createElement('span');
+    span.textContent = displayName(midi);
+    userListEl.appendChild(span);
+    if (userNotes.length === 2) {
+      // Highlight expected notes that match
+      const spans = expectedListEl.querySelectorAll('span');
+      spans.forEach((s) => {
+        if (userNotes.includes(s.dataset.note)) {
+          s.classList.add('correct-note');
+        }
+      });
+      // We have two notes; end the attempt and evaluate
+      finishAnswer();
+      evaluateInterval();
+    }
+  }
+}
+
+/**
+ * Start capturing two notes from the user via microphone. Detected
+ * frequencies are converted to MIDI notes and passed to handleNote().
+ */
+async function startRecording() {
+  if (solved) return;
+  // Stop any existing detector
+  finishAnswer();
+  beginAnswer();
   statusEl.textContent = 'Nasłuchiwanie...';
-  statusEl.className = 'status';
   detector = new NoteDetector({
-    onFrequency: (freq) => {
-      const pc = freqToPitchClass(freq);
-      if (!pc) return;
-      // Only record unique pitch classes until we have two.
-      if (!userPitchClasses.includes(pc)) {
-        userPitchClasses.push(pc);
-        const span = document.createElement('span');
-        span.textContent = pc;
-        userListEl.appendChild(span);
-        if (userPitchClasses.length === 2) {
-          // Highlight expected notes that match
-          const spans = expectedListEl.querySelectorAll('span');
-          spans.forEach((s) => {
-            if (userPitchClasses.includes(s.dataset.pc)) {
-              s.classList.add('correct-note');
-            }
-          });
-          // We have two notes; stop detection and evaluate
-          detector.stop();
-          detector = null;
-          evaluateInterval();
-        }
-      }
-    },
-    clarityThreshold: 0.85,
+    onNoteStart: (midi) => handleNote(midi),
   });
-  recordStartTime = performance.now();
   await detector.start();
 }
 
 /**
- * Evaluate the user‑played interval against the expected interval. We
- * calculate the distance between the two pitch classes and simplify it
- * to its basic form before comparing.
+ * Award stars depending on how quickly the interval was played after it
+ * was shown and show the success message. The interval counts as solved,
+ * so it earns stars only once.
+ */
+function intervalCompleted() {
+  const elapsed = recordStartTime ? (performance.now() - recordStartTime) / 1000 : null;
+  let stars = 1;
+  if (elapsed !== null) {
+    if (elapsed <= 4) stars = 3;
+    else if (elapsed <= 8) stars = 2;
+  }
+  statusEl.innerHTML = `Świetnie! Poprawnie rozpoznałeś interwał. ${'★'.repeat(stars)}`;
+  statusEl.className = 'status result-success';
+  addStars(stars);
+  solved = true;
+}
+
+/**
+ * Show a failure message.
+ *
+ * @param {string} message Text to show
+ */
+function intervalFailed(message) {
+  statusEl.textContent = message;
+  statusEl.className = 'status result-failure';
+}
+
+/**
+ * Evaluate the user‑played interval against the expected interval. For
+ * intervals within the octave we calculate the distance between the two
+ * pitch classes and simplify it to its basic form before comparing. The
+ * unison, the octave and compound intervals are told apart only by
+ * their size, so for them the upward distance must match exactly, in
+ * any register. In strict mode the two notes must be exactly the
+ * expected ones, so register and direction count, and the feedback
+ * explains which of them was off.
  */
 function evaluateInterval() {
-  if (userPitchClasses.length < 2) return;
-  const [n1, n2] = userPitchClasses;
-  const idx1 = NOTE_NAMES.indexOf(n1);
-  const idx2 = NOTE_NAMES.indexOf(n2);
-  if (idx1 === -1 || idx2 === -1) return;
-  const diff = ((idx2 - idx1) % 12 + 12) % 12;
-  if (diff === currentIntervalSemitone) {
-    // Determine elapsed time and award stars
-    const elapsed = recordStartTime ? (performance.now() - recordStartTime) / 1000 : null;
-    let stars = 1;
-    if (elapsed !== null) {
-      if (elapsed <= 4) stars = 3;
-      else if (elapsed <= 8) stars = 2;
+  if (userMidis.length < 2) return;
+  const [m1, m2] = userMidis;
+  if (!strictCheckbox.checked) {
+    const exact = currentIntervalSemitone === 0 || currentIntervalSemitone >= OCTAVE;
+    const diff = exact ? m2 - m1 : ((m2 - m1) % 12 + 12) % 12;
+    if (diff === currentIntervalSemitone) {
+      intervalCompleted();
+    } else {
+      const direction = diff < 0 ? ' w dół' : '';
+      intervalFailed(
+        `Niestety, to ${intervalNameFromSemitone(Math.abs(diff))}${direction}. Spróbuj ponownie.`,
+      );
     }
-    statusEl.innerHTML = `Świetnie! Poprawnie rozpoznałeś interwał. ${'★'.repeat(stars)}`;
-    statusEl.className = 'status result-success';
-    addStars(stars);
+    return;
+  }
+  const [e1, e2] = expectedIntervalNotes.map(noteNameToMidi);
+  const diff = m2 - m1;
+  const expectedNames = expectedIntervalNotes.map(formatNoteName).join(' → ');
+  if (m1 === e1 && m2 === e2) {
+    intervalCompleted();
+  } else if (diff < 0 && diff === -currentIntervalSemitone) {
+    intervalFailed(`Interwał zagrany w dół. Zagraj go w górę: ${expectedNames}.`);
+  } else if (diff === currentIntervalSemitone) {
+    intervalFailed(`Dobry interwał, ale zła oktawa. Zacznij od ${formatNoteName(expectedIntervalNotes[0])}.`);
+  } else if (compareNotes(m1, e1, true) !== 'wrong' && compareNotes(m2, e2, true) !== 'wrong') {
+    intervalFailed(`Dobre nuty, ale zła oktawa. Zagraj ${expectedNames}.`);
   } else {
-    const actual = intervalNameFromSemitone(diff);
-    statusEl.textContent = `Niestety, to ${actual}. Spróbuj ponownie.`;
-    statusEl.className = 'status result-failure';
+    const actual = intervalNameFromSemitone(Math.abs(diff));
+    const direction = diff < 0 ? ' w dół' : '';
+    intervalFailed(`Niestety, to ${actual}${direction}. Spróbuj ponownie.`);
   }
 }
 
 // Event listeners
-nextBtn.addEventListener('click', pickRandomInterval);
-playBtn.addEventListener('click', () => {
-  if (!expectedIntervalNotes || expectedIntervalNotes.length !== 2) return;
-  playInterval(expectedIntervalNotes, 0.8);
+nextBtn.addEventListener('click', () => {
+  pickRandomInterval();
+  // A hidden interval is only known by its sound, so play it right away
+  if (isEarMode()) playCurrentInterval();
 });
+playBtn.addEventListener('click', playCurrentInterval);
 recordBtn.addEventListener('click', startRecording);
 
+// On-screen keyboard as an alternative to the microphone
+const keyboard = new PianoKeyboard({
+  container: document.getElementById('answer-keyboard'),
+  range: 'C3-C6',
+  onNoteOn: (note) => handleNote(noteNameToMidi(note)),
+});
+
+// MIDI keyboard as a third answer source; its keys are mirrored on screen
+connectMidiInputSelect(document.getElementById('midi-input-select'), {
+  onNoteOn: (midi) => {
+    keyboard.setHighlight(midiToNoteName(midi), true);
+    handleNote(midi);
+  },
+  onNoteOff: (midi) => keyboard.setHighlight(midiToNoteName(midi), false),
+});
+
+persistCheckbox(strictCheckbox, 'pianoStrictIntervals');
+strictCheckbox.addEventListener('change', () => {
+  finishAnswer();
+  renderExpectedNotes();
+  userNotes = [];
+  userMidis = [];
+  userListEl.innerHTML = '';
+  statusEl.textContent = '';
+  statusEl.className = 'status';
+});
+
+modeSelect.addEventListener('change', () => {
+  saveSettings();
+  updateMode();
+});
+intervalSetSelect.addEventListener('change', () => {
+  saveSettings();
+  renderIntervalButtons();
+  pickRandomInterval();
+});
+directionSelect.addEventListener('change', () => {
+  saveSettings();
+  pickRandomInterval();
+});
+resetStatsBtn.addEventListener('click', () => {
+  try {
+    localStorage.removeItem(STATS_KEY);
+  } catch (e) {
+    // localStorage might be unavailable; ignore errors
+  }
+  renderStats();
+});
+
 // Initialise first interval on page load
-pickRandomInterval();
\ No newline at end of file
+loadSettings();
+renderIntervalButtons();
+renderStats();
+updateMode();
\ No newline at end of file
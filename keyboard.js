@@ -0,0 +1,322 @@
+import { noteOn, noteOff, setSustain, isSustainOn, noteNameToMidi, midiToNoteName } from './common.js';
+
+/*
+ * Reusable on-screen piano keyboard. A PianoKeyboard renders white and
+ * black keys for a configurable range of notes (from a single octave up
+ * to the full 88 keys, A0–C8) into a container element and reports key
+ * presses through onNoteOn/onNoteOff callbacks. The virtual piano page
+ * uses it as an instrument; the exercise pages mount it as an
+ * alternative to the microphone for answering.
+ *
+ * Notes can be played by clicking the keys or from the computer
+ * keyboard. Two rows are mapped: the bottom row (C V B N M , . with
+ * F G J K L for sharps) plays the base octave and the top row (Q–U
+ * with 2 3 5 6 7 for sharps, continuing with I O P and 9 0) plays the
+ * next one. Z and X shift both rows down or up by an octave. Notes
+ * sound for as long as the key is held, through noteOn()/noteOff() in
+ * common.js. Optionally the space bar acts as a sustain pedal.
+ */
+
+// Mapping of computer keys to semitone offsets from C of the base
+// octave. The bottom row covers one octave, the top row the next.
+const KEY_OFFSETS = {
+  c: 0, f: 1, v: 2, g: 3, b: 4, n: 5, j: 6, m: 7, k: 8, ',': 9, l: 10, '.': 11,
+  q: 12, '2': 13, w: 14, '3': 15, e: 16, r: 17, '5': 18, t: 19, '6': 20,
+  y: 21, '7': 22, u: 23, i: 24, '9': 25, o: 26, '0': 27, p: 28,
+};
+
+/**
+ * Parse a range such as "C2-C7" or "A0-C8" into MIDI note numbers.
+ *
+ * @param {string} range Two note names separated by a dash
+ * @returns {{low: number, high: number}} Inclusive MIDI range
+ */
+export function parseRange(range) {
+  const [from, to] = range.split('-').map((n) => noteNameToMidi(n));
+  if (!(from < to)) throw new Error(`Invalid keyboard range: ${range}`);
+  return { low: from, high: to };
+}
+
+export class PianoKeyboard {
+  /**
+   * Create a keyboard and render it into the container.
+   *
+   * @param {Object} options Configuration options
+   * @param {HTMLElement} options.container Element that receives the keys
+   * @param {string} [options.range='C3-C6'] Range of notes to display
+   * @param {(note: string) => void} [options.onNoteOn] Called with the note
+   *         name (e.g. "C#4") when a key is pressed
+   * @param {(note: string) => void} [options.onNoteOff] Called when a key is
+   *         released
+   * @param {boolean} [options.computerKeys=true] Map the computer keyboard
+   * @param {boolean} [options.pedal=false] Use the space bar as sustain pedal
+   * @param {HTMLElement} [options.sustainButton] Button that latches the pedal
+   * @param {HTMLElement} [options.octaveLabel] Element showing the octaves
+   *         mapped to the computer keyboard
+   */
+  constructor({
+    container,
+    range = 'C3-C6',
+    onNoteOn = () => {},
+    onNoteOff = () => {},
+    computerKeys = true,
+    pedal = false,
+    sustainButton = null,
+    octaveLabel = null,
+  }) {
+    this.container = container;
+    this.onNoteOn = onNoteOn;
+    this.onNoteOff = onNoteOff;
+    this.pedal = pedal;
+    this.sustainButton = sustainButton;
+    this.octaveLabel = octaveLabel;
+    // Lowest and highest MIDI note of the rendered keyboard.
+    this.lowMidi = 48;
+    this.highMidi = 84;
+    // Octave played by the bottom row of computer keys (top row is +1).
+    this.baseOctave = 3;
+    // Computer keys currently held down, mapped to the note each started.
+    this.pressedKeys = {};
+
+    this._onResize = () => this.positionBlackKeys();
+    this._onKeydown = (e) => this._handleKeydown(e);
+    this._onKeyup = (e) => this._handleKeyup(e);
+    window.addEventListener('resize', this._onResize);
+    this.setComputerKeys(computerKeys);
+    if (sustainButton) {
+      sustainButton.addEventListener('click', () => this.setSustain(!isSustainOn()));
+    }
+    this.setRange(range);
+  }
+
+  /**
+   * (Re)build the keys for a new range. White keys are appended first so
+   * that they form the flex layout; black keys follow and are positioned
+   * once the white keys have been laid out.
+   *
+   * @param {string} range Range such as "C2-C7"
+   */
+  setRange(range) {
+    ({ low: this.lowMidi, high: this.highMidi } = parseRange(range));
+    this.container.innerHTML = '';
+    const blackNotes = [];
+    for (let midi = this.lowMidi; midi <= this.highMidi; midi++) {
+      const note = midiToNoteName(midi);
+      if (note.includes('#')) {
+        blackNotes.push(note);
+      } else {
+        this.container.appendChild(this._createKey(note, 'white-key'));
+      }
+    }
+    blackNotes.forEach((note) => this.container.appendChild(this._createKey(note, 'black-key')));
+    // Keep the computer-keyboard rows inside the new range
+    this.shiftOctave(0);
+    this.positionBlackKeys();
+  }
+
+  /**
+   * Start a note, highlight its key and notify the listener.
+   *
+   * @param {string} note Note name
+   */
+  pressNote(note) {
+    noteOn(note, 0.35);
+    this.setHighlight(note, true);
+    this.onNoteOn(note);
+  }
+
+  /**
+   * Release a note, remove its highlight and notify the listener.
+   *
+   * @param {string} note Note name
+   */
+  releaseNote(note) {
+    noteOff(note);
+    this.setHighlight(note, false);
+    this.onNoteOff(note);
+  }
+
+  /**
+   * Show or hide the pressed state of a key without playing it.
+   *
+   * @param {string} note Note name
+   * @param {boolean} on Whether the key should appear pressed
+   */
+  setHighlight(note, on) {
+    const el = this.container.querySelector(`[data-note="${note}"]`);
+    if (el) el.classList.toggle('active', on);
+  }
+
+  /**
+   * Press or lift the sustain pedal and mirror its state on the button.
+   *
+   * @param {boolean} down Pedal state
+   */
+  setSustain(down) {
+    setSustain(down);
+    if (this.sustainButton) {
+      this.sustainButton.classList.toggle('active', down);
+      this.sustainButton.setAttribute('aria-pressed', String(down));
+    }
+  }
+
+  /**
+   * Move the computer-keyboard rows by a number of octaves, clamped so
+   * that at least part of the mapped notes stays on the keyboard, and
+   * update the octave indicator.
+   *
+   * @param {number} delta Octaves to shift (negative = down)
+   */
+  shiftOctave(delta) {
+    const minOctave = Math.floor(this.lowMidi / 12) - 2;
+    const maxOctave = Math.floor(this.highMidi / 12) - 1;
+    this.baseOctave = Math.min(Math.max(this.baseOctave + delta, minOctave), maxOctave);
+    if (this.octaveLabel) {
+      const base = this.baseOctave;
+      const top = base + 1;
+      this.octaveLabel.textContent = `C V B N M: C${base}–B${base}, Q–U: C${top}–B${top}`;
+    }
+  }
+
+  /**
+   * Centre each black key on the right edge of the white key below it.
+   * Widths are taken from the rendered white keys, so the layout follows
+   * the container when the window is resized.
+   */
+  positionBlackKeys() {
+    const firstWhite = this.container.querySelector('.white-key');
+    if (!firstWhite) return;
+    const blackKeyWidth = firstWhite.offsetWidth * 0.6;
+    Array.from(this.container.querySelectorAll('.black-key')).forEach((key) => {
+      // The white key a semitone below (C for C#, D for D#, …)
+      const lower = midiToNoteName(noteNameToMidi(key.dataset.note) - 1);
+      const whiteEl = this.container.querySelector(`[data-note="${lower}"]`);
+      if (!whiteEl) {
+        // A range starting on a black key has no white key to its left
+        key.style.display = 'none';
+        return;
+      }
+      const leftPx = whiteEl.offsetLeft + whiteEl.offsetWidth - blackKeyWidth / 2;
+      key.style.width = `${blackKeyWidth}px`;
+      key.style.left = `${leftPx}px`;
+    });
+  }
+
+  /**
+   * Turn the computer-keyboard mapping on or off, e.g. while the letter
+   * keys answer a quiz. Notes still held from the computer keyboard are
+   * released when it is turned off.
+   *
+   * @param {boolean} enabled Whether computer keys play notes
+   */
+  setComputerKeys(enabled) {
+    window.removeEventListener('keydown', this._onKeydown);
+    window.removeEventListener('keyup', this._onKeyup);
+    if (enabled) {
+      window.addEventListener('keydown', this._onKeydown);
+      window.addEventListener('keyup', this._onKeyup);
+      return;
+    }
+    Object.entries(this.pressedKeys).forEach(([key, note]) => {
+      delete this.pressedKeys[key];
+      this.releaseNote(note);
+    });
+  }
+
+  /**
+   * Remove the keys and all window listeners.
+   */
+  destroy() {
+    window.removeEventListener('resize', this._onResize);
+    window.removeEventListener('keydown', this._onKeydown);
+    window.removeEventListener('keyup', this._onKeyup);
+    this.container.innerHTML = '';
+  }
+
+  /**
+   * Create a key element with pointer handlers. Pointer events cover
+   * both mouse and touch input; leaving the key while pressed releases it.
+   *
+   * @param {string} note Note name
+   * @param {string} className 'white-key' or 'black-key'
+   * @returns {HTMLElement} Key element
+   */
+  _createKey(note, className) {
+    const key = document.createElement('div');
+    key.className = className;
+    key.dataset.note = note;
+    if (className === 'black-key') {
+      // Show sharp sign (#) instead of the full note name on the key label
+      key.textContent = '♯';
+    } else {
+      // Label every C with its octave so that wide keyboards stay readable
+      key.textContent = note.startsWith('C') ? note : note.replace(/\d+$/, '');
+    }
+    key.addEventListener('pointerdown', (e) => {
+      // Prevent triggering underlying white key
+      e.stopPropagation();
+      this.pressNote(note);
+    });
+    const release = () => {
+      if (key.classList.contains('active')) this.releaseNote(note);
+    };
+    key.addEventListener('pointerup', release);
+    key.addEventListener('pointerleave', release);
+    return key;
+  }
+
+  /**
+   * Resolve a computer key to the note it currently plays, or null if
+   * the key is unmapped or the note lies outside the keyboard range.
+   *
+   * @param {string} key Lower-case KeyboardEvent.key
+   * @returns {string | null} Note name
+   */
+  _noteForKey(key) {
+    if (!(key in KEY_OFFSETS)) return null;
+    const midi = (this.baseOctave + 1) * 12 + KEY_OFFSETS[key];
+    if (midi < this.lowMidi || midi > this.highMidi) return null;
+    return midiToNoteName(midi);
+  }
+
+  _handleKeydown(event) {
+    // Leave shortcuts (Ctrl+C, …) and typing in form fields to the page
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+    const { target } = event;
+    if (['SELECT', 'INPUT', 'TEXTAREA'].includes(target.tagName) || target.isContentEditable) return;
+    if (this.pedal && event.key === ' ') {
+      // Space acts as the sustain pedal; stop the page from scrolling.
+      event.preventDefault();
+      if (!event.repeat) this.setSustain(true);
+      return;
+    }
+    const key = event.key.toLowerCase();
+    // Ignore auto-repeat so a held key does not re-strike the note
+    if (event.repeat || this.pressedKeys[key]) return;
+    if (key === 'z' || key === 'x') {
+      this.shiftOctave(key === 'z' ? -1 : 1);
+      return;
+    }
+    const note = this._noteForKey(key);
+    if (note) {
+      this.pressedKeys[key] = note;
+      this.pressNote(note);
+    }
+  }
+
+  _handleKeyup(event) {
+    if (this.pedal && event.key === ' ') {
+      // Also stop a focused button from being activated by the space bar.
+      event.preventDefault();
+      this.setSustain(false);
+      return;
+    }
+    const key = event.key.toLowerCase();
+    // Release the note the key started, even if the octave changed since
+    const note = this.pressedKeys[key];
+    if (note) {
+      delete this.pressedKeys[key];
+      this.releaseNote(note);
+    }
+  }
+}
\ No newline at end of file
@@ -1,5 +1,17 @@
-import { playSingleNote, freqToPitchClass, NOTE_NAMES, addStars } from './common.js';
+import {
+  playSingleNote,
+  midiToPitchClass,
+  noteNameToMidi,
+  midiToNoteName,
+  NOTE_NAMES,
+  persistCheckbox,
+  addStars,
+} from './common.js';
 import { NoteDetector } from './noteDetector.js';
+import { PianoKeyboard } from './keyboard.js';
+import { connectMidiInputSelect } from './midi.js';
+import { compareSequences, sequenceStars } from './sequence.js';
+import { renderNotation } from './notation.js';
 
 /*
  * Memory sequence exercise. A random sequence of pitch classes is
@@ -7,23 +19,36 @@ import { NoteDetector } from './noteDetector.js';
  * reproduce the sequence by playing or singing the notes; the
  * microphone will capture the pitches and determine whether they match
  * the sequence. The sequence length can be adjusted for difficulty.
+ * In strict mode the notes must also be played in the octave they were
+ * played back in.
  */
 
 const SEQ_LENGTH = 3;
+// Octave in which the sequence is played back.
+const SEQ_OCTAVE = 4;
 
 const generateBtn = document.getElementById('generate-sequence');
 const recordBtn = document.getElementById('start-seq-record');
 const hintsBtn = document.getElementById('show-hints');
 const hintsDisplay = document.getElementById('sequence-hints');
 const sequenceDisplay = document.getElementById('sequence-display');
+const sequenceStaff = document.getElementById('sequence-staff');
 const userDisplay = document.getElementById('user-sequence');
 const statusEl = document.getElementById('sequence-status');
+const strictCheckbox = document.getElementById('strict-mode');
 
 let expectedSequence = [];
 let userSequence = [];
+// MIDI numbers of the notes in userSequence, for strict mode
+let userMidis = [];
 let detector = null;
 let recordStartTime = null;
 let currentHints = [];
+// True while an attempt is in progress (microphone or keyboard input).
+let answering = false;
+// True once the current sequence has been repeated correctly; played
+// notes are ignored until a new sequence is generated
+let solved = false;
 
 function randomPitchClass() {
   // Exclude accidentals for simplicity in this exercise
@@ -34,26 +59,38 @@ function randomPitchClass() {
 async function playSequence() {
   for (let i = 0; i < expectedSequence.length; i++) {
     const pc = expectedSequence[i];
-    // Always play in octave 4 for consistency
+    // Always play in the same octave for consistency
     await new Promise((resolve) => {
-      playSingleNote(`${pc}4`, 0.6, 0.35);
+      playSingleNote(`${pc}${SEQ_OCTAVE}`, 0.6, 0.35);
       setTimeout(resolve, 700);
     });
   }
 }
 
-function generateSequence() {
-  expectedSequence = [];
-  for (let i = 0; i < SEQ_LENGTH; i++) {
-    expectedSequence.push(randomPitchClass());
-  }
-  // Display the sequence to the user
+/**
+ * Display the expected sequence, with octaves in strict mode, and write
+ * it on the staff as quarter notes in the octave it is played in.
+ */
+function renderSequence() {
   sequenceDisplay.innerHTML = '';
   expectedSequence.forEach((pc) => {
     const span = document.createElement('span');
-    span.textContent = pc;
+    span.textContent = strictCheckbox.checked ? `${pc}${SEQ_OCTAVE}` : pc;
     sequenceDisplay.appendChild(span);
   });
+  renderNotation(sequenceStaff, {
+    items: expectedSequence.map((pc) => ({ keys: [`${pc}${SEQ_OCTAVE}`] })),
+    width: 240,
+    label: 'Sekwencja do powtórzenia',
+  });
+}
+
+function generateSequence() {
+  expectedSequence = [];
+  for (let i = 0; i < SEQ_LENGTH; i++) {
+    expectedSequence.push(randomPitchClass());
+  }
+  renderSequence();
   // Precompute hints (direction arrows) between consecutive notes
   currentHints = [];
   for (let i = 1; i < expectedSequence.length; i++) {
@@ -70,82 +107,124 @@ function generateSequence() {
     }
   }
   hintsDisplay.innerHTML = '';
+  finishAnswer();
+  // The answer is timed from the moment the sequence is generated
+  recordStartTime = performance.now();
+  solved = false;
   statusEl.textContent = '';
   userSequence = [];
+  userMidis = [];
   userDisplay.innerHTML = '';
   // Play the sequence
   playSequence();
 }
 
 function evaluateSequence() {
-  if (userSequence.length !== expectedSequence.length) {
+  const expectedMidis = expectedSequence.map((pc) => noteNameToMidi(`${pc}${SEQ_OCTAVE}`));
+  const { result } = compareSequences(userMidis, expectedMidis, strictCheckbox.checked);
+  if (result === 'length') {
     statusEl.textContent = 'Liczba dźwięków się nie zgadza. Spróbuj ponownie.';
     statusEl.className = 'status result-failure';
-    return;
-  }
-  let correct = true;
-  for (let i = 0; i < expectedSequence.length; i++) {
-    if (expectedSequence[i] !== userSequence[i]) {
-      correct = false;
-      break;
-    }
-  }
-  if (correct) {
+  } else if (result === 'match') {
     // Determine elapsed time and award stars
     const elapsed = recordStartTime ? (performance.now() - recordStartTime) / 1000 : null;
-    let stars = 1;
-    if (elapsed !== null) {
-      const fastThreshold = SEQ_LENGTH * 2; // 2s per note → 3 stars
-      const midThreshold = SEQ_LENGTH * 4; // 4s per note → 2 stars
-      if (elapsed <= fastThreshold) stars = 3;
-      else if (elapsed <= midThreshold) stars = 2;
-    }
+    const stars = sequenceStars(elapsed, SEQ_LENGTH);
     statusEl.innerHTML = `Doskonale! Powtórzyłeś sekwencję poprawnie. ${'★'.repeat(stars)}`;
     statusEl.className = 'status result-success';
     addStars(stars);
+    solved = true;
+  } else if (result === 'octave') {
+    statusEl.textContent = `Dobre dźwięki, ale zła oktawa. Zagraj sekwencję w oktawie ${SEQ_OCTAVE} (od środkowego C).`;
+    statusEl.className = 'status result-failure';
   } else {
     statusEl.textContent = 'Niestety, sekwencja była inna. Spróbuj ponownie.';
     statusEl.className = 'status result-failure';
   }
 }
 
-async function startRecording() {
-  // Stop existing detector
+/**
+ * Reset the user's sequence and start a new attempt.
+ */
+function beginAnswer() {
+  userSequence = [];
+  userMidis = [];
+  userDisplay.innerHTML = '';
+  statusEl.textContent = '';
+  statusEl.className = 'status';
+  answering = true;
+}
+
+/**
+ * End the current attempt and release the microphone if it is in use.
+ */
+function finishAnswer() {
+  answering = false;
   if (detector) {
     detector.stop();
     detector = null;
   }
-  userSequence = [];
-  userDisplay.innerHTML = '';
+}
+
+/**
+ * Handle a note played by the user, whether it was detected by the
+ * microphone or pressed on the on-screen keyboard. Notes are appended
+ * to the user's sequence until it is as long as the expected one, at
+ * which point it is evaluated. A keyboard press outside an attempt
+ * starts a new one; once the sequence has been solved further notes are
+ * ignored.
+ *
+ * @param {number} midi MIDI note number of the played note
+ */
+function handleNote(midi) {
+  if (solved) return;
+  if (!answering) beginAnswer();
+  const pc = midiToPitchClass(midi);
+  // Only record naturals (ignore accidentals to match our sequence)
+  if (!['C', 'D', 'E', 'F', 'G', 'A', 'B'].includes(pc)) return;
+  if (userSequence.length < expectedSequence.length) {
+    userSequence.push(pc);
+    userMidis.push(midi);
+    const span = document.createElement('span');
+    span.textContent = strictCheckbox.checked ? midiToNoteName(midi) : pc;
+    userDisplay.appendChild(span);
+    if (userSequence.length === expectedSequence.length) {
+      finishAnswer();
+      evaluateSequence();
+    }
+  }
+}
+
+async function startRecording() {
+  if (solved) return;
+  // Stop existing detector
+  finishAnswer();
+  beginAnswer();
   statusEl.textContent = 'Nasłuchiwanie...';
-  statusEl.className = 'status';
   detector = new NoteDetector({
-    onFrequency: (freq) => {
-      const pc = freqToPitchClass(freq);
-      if (!pc) return;
-      // Only record naturals (ignore accidentals to match our sequence)
-      if (!['C', 'D', 'E', 'F', 'G', 'A', 'B'].includes(pc)) return;
-      if (userSequence.length < expectedSequence.length) {
-        userSequence.push(pc);
-        const span = document.createElement('span');
-        span.textContent = pc;
-        userDisplay.appendChild(span);
-        if (userSequence.length === expectedSequence.length) {
-          detector.stop();
-          detector = null;
-          evaluateSequence();
-        }
-      }
-    },
-    clarityThreshold: 0.85,
+    onNoteStart: (midi) => handleNote(midi),
   });
-  recordStartTime = performance.now();
   await detector.start();
 }
 
 generateBtn.addEventListener('click', generateSequence);
 recordBtn.addEventListener('click', startRecording);
 
+// On-screen keyboard as an alternative to the microphone
+const keyboard = new PianoKeyboard({
+  container: document.getElementById('answer-keyboard'),
+  range: 'C3-C6',
+  onNoteOn: (note) => handleNote(noteNameToMidi(note)),
+});
+
+// MIDI keyboard as a third answer source; its keys are mirrored on screen
+connectMidiInputSelect(document.getElementById('midi-input-select'), {
+  onNoteOn: (midi) => {
+    keyboard.setHighlight(midiToNoteName(midi), true);
+    handleNote(midi);
+  },
+  onNoteOff: (midi) => keyboard.setHighlight(midiToNoteName(midi), false),
+});
+
 // Show hints when the user clicks the hints button. This displays
 // arrows indicating whether the next note in the sequence is higher
 // (↑), lower (↓) or the same (→) compared to the previous one. The
@@ -170,5 +249,8 @@ if (hintsBtn) {
   });
 }
 
+persistCheckbox(strictCheckbox, 'pianoStrictMemory');
+strictCheckbox.addEventListener('change', renderSequence);
+
 // Generate an initial sequence on page load
 generateSequence();
\ No newline at end of file
@@ -0,0 +1,194 @@
+import { setTuningReference } from './common.js';
+
+/*
+ * Per-device microphone calibration. For each input device we store the
+ * noise gate level (RMS in dBFS), the Pitchy clarity threshold and the
+ * A4 tuning reference measured by the calibration wizard
+ * (calibration.html). NoteDetector looks the values up for the
+ * microphone it opens, and common.js applies the reference of the last
+ * used device when any page loads, so exercises play and judge notes in
+ * the tuning of the user's piano. common.js imports this module, so
+ * nothing here may call into common.js while the module loads.
+ *
+ * The measurement helpers are pure functions over the frames reported
+ * by NoteDetector's onFrame callback ({ pitch, clarity, rms, flux,
+ * time }).
+ */
+
+// localStorage keys: calibrations keyed by device id, and the id of the
+// device used most recently.
+const STORAGE_KEY = 'pianoMicCalibration';
+const DEVICE_KEY = 'pianoMicDevice';
+
+export const DEFAULT_CALIBRATION = {
+  gateDb: -50,
+  clarityThreshold: 0.85,
+  a4: 440,
+};
+
+// Margin in dB between the measured noise floor and the gate.
+const GATE_MARGIN_DB = 10;
+
+/**
+ * Read all stored calibrations, returning an empty object if none are
+ * stored or localStorage is unavailable.
+ *
+ * @returns {Object<string, Object>} Calibrations keyed by device id
+ */
+function loadAll() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * Return the id of the input device behind a microphone stream. Browsers
+ * that do not report it share the id "default".
+ *
+ * @param {MediaStream} stream Stream returned by getUserMedia
+ * @returns {string} Device id
+ */
+export function getStreamDeviceId(stream) {
+  const [track] = stream.getAudioTracks ? stream.getAudioTracks() : [];
+  const settings = track && track.getSettings ? track.getSettings() : {};
+  return settings.deviceId || 'default';
+}
+
+/**
+ * Return the id of the most recently used input device.
+ *
+ * @returns {string} Device id ("default" if none is known)
+ */
+export function getLastDeviceId() {
+  try {
+    return localStorage.getItem(DEVICE_KEY) || 'default';
+  } catch (e) {
+    return 'default';
+  }
+}
+
+/**
+ * Load the calibration for a device, falling back to the defaults for
+ * any value that has not been measured. Without an id the most recently
+ * used device is assumed.
+ *
+ * @param {string} [deviceId] Input device id
+ * @returns {{gateDb: number, clarityThreshold: number, a4: number}}
+ */
+export function loadCalibration(deviceId) {
+  return { ...DEFAULT_CALIBRATION, ...loadAll()[deviceId || getLastDeviceId()] };
+}
+
+/**
+ * Remember the device as the most recently used one and apply its
+ * tuning reference.
+ *
+ * @param {string} deviceId Input device id
+ * @returns {{gateDb: number, clarityThreshold: number, a4: number}}
+ *          The device's calibration
+ */
+export function useDevice(deviceId) {
+  try {
+    localStorage.setItem(DEVICE_KEY, deviceId);
+  } catch (e) {
+    // localStorage might be unavailable; ignore errors
+  }
+  const calibration = loadCalibration(deviceId);
+  setTuningReference(calibration.a4);
+  return calibration;
+}
+
+/**
+ * Store a calibration for a device and apply it.
+ *
+ * @param {string} deviceId Input device id
+ * @param {{gateDb: number, clarityThreshold: number, a4: number}} calibration
+ */
+export function saveCalibration(deviceId, calibration) {
+  const all = loadAll();
+  all[deviceId] = { ...calibration, date: new Date().toISOString() };
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+  } catch (e) {
+    // localStorage might be unavailable; ignore errors
+  }
+  useDevice(deviceId);
+}
+
+/**
+ * Remove a device's calibration so that the defaults apply again.
+ *
+ * @param {string} deviceId Input device id
+ */
+export function resetCalibration(deviceId) {
+  const all = loadAll();
+  delete all[deviceId];
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+  } catch (e) {
+    // localStorage might be unavailable; ignore errors
+  }
+  useDevice(deviceId);
+}
+
+/**
+ * Return the value below which the given fraction of the sorted values
+ * lies.
+ */
+function percentile(values, fraction) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const index = Math.min(sorted.length - 1, Math.floor(fraction * sorted.length));
+  return sorted[index];
+}
+
+function rmsToDb(rms) {
+  return rms > 0 ? 20 * Math.log10(rms) : -120;
+}
+
+/**
+ * Derive the noise floor from frames recorded in silence.
+ *
+ * @param {Array<{rms: number, clarity: number}>} frames Recorded frames
+ * @returns {{noiseDb: number, gateDb: number}} Noise level (95th
+ *          percentile, dBFS) and the resulting gate level
+ */
+export function measureNoise(frames) {
+  if (!frames.length) throw new Error('Brak danych z mikrofonu.');
+  const noiseDb = percentile(frames.map((f) => rmsToDb(f.rms)), 0.95);
+  const gateDb = Math.min(-20, Math.max(-80, noiseDb + GATE_MARGIN_DB));
+  return { noiseDb, gateDb };
+}
+
+/**
+ * Derive the tuning reference and clarity threshold from frames recorded
+ * while the user holds a known note.
+ *
+ * @param {Array<{pitch: number, clarity: number, rms: number}>} frames
+ *        Recorded frames
+ * @param {number} midi MIDI number of the note the user was asked to play
+ * @param {{gateDb: number}} noise Result of measureNoise()
+ * @returns {{a4: number, clarityThreshold: number, signalDb: number}}
+ */
+export function measureReference(frames, midi, noise) {
+  const voiced = frames.filter(
+    (f) => f.pitch > 0 && rmsToDb(f.rms) > noise.gateDb
+  );
+  if (voiced.length < 10) {
+    throw new Error('Nie wykryto dźwięku. Zagraj nutę głośniej lub bliżej mikrofonu.');
+  }
+  // Median pitch, expressed as the A4 it implies
+  const a4s = voiced.map((f) => f.pitch * Math.pow(2, (69 - midi) / 12));
+  const a4 = percentile(a4s, 0.5);
+  // More than a quarter tone away from 440 Hz is probably a wrong note
+  if (a4 < 427.5 || a4 > 452.9) {
+    throw new Error('Zagrana nuta różni się od oczekiwanej. Sprawdź, czy grasz właściwy klawisz.');
+  }
+  // Just below the clarity of the weaker note frames, so that the decaying
+  // tail of a quiet or out-of-tune instrument is still accepted
+  const noteClarity = percentile(voiced.map((f) => f.clarity), 0.1);
+  const clarityThreshold = Math.min(0.9, Math.max(0.6, noteClarity - 0.05));
+  const signalDb = percentile(voiced.map((f) => rmsToDb(f.rms)), 0.5);
+  return { a4: Math.round(a4 * 10) / 10, clarityThreshold, signalDb };
+}
@@ -0,0 +1,314 @@
+import { setMidiOutput, setLocalPlayback } from './common.js';
+
+/*
+ * Web MIDI support. MidiInput listens to one input port of a MIDIAccess
+ * object (from navigator.requestMIDIAccess(), or a mock with the same
+ * shape for testing) and reports note-on and note-off messages with
+ * their exact MIDI note numbers, so exercises can use a digital piano
+ * as an answer source alongside the microphone.
+ *
+ * A mock MIDIAccess only needs an `inputs` Map of port objects, each
+ * with `id`, `name` and an assignable `onmidimessage` property.
+ * Messages are delivered as `{ data: [status, note, velocity] }`.
+ *
+ * connectMidiOutputSelect() lets the user pick an output port to which
+ * all playback in common.js is sent, so lessons can be heard on an
+ * external instrument.
+ */
+
+// localStorage keys under which the chosen ports and the local playback
+// flag are remembered.
+const INPUT_STORAGE_KEY = 'pianoMidiInput';
+const OUTPUT_STORAGE_KEY = 'pianoMidiOutput';
+const LOCAL_STORAGE_KEY = 'pianoMidiLocal';
+
+// Promise for the browser's MIDIAccess, shared by inputs and outputs.
+let accessPromise = null;
+
+/**
+ * Request MIDI access from the browser once and reuse it afterwards.
+ *
+ * @returns {Promise<MIDIAccess>} MIDI access object
+ */
+function getMidiAccess() {
+  if (!accessPromise) {
+    if (!MidiInput.isSupported()) {
+      return Promise.reject(new Error('Web MIDI is not supported in this browser'));
+    }
+    accessPromise = navigator.requestMIDIAccess();
+    // Allow a retry if the user denied the permission prompt
+    accessPromise.catch(() => {
+      accessPromise = null;
+    });
+  }
+  return accessPromise;
+}
+
+/**
+ * Read a value from localStorage, returning null if it is unavailable.
+ *
+ * @param {string} key Storage key
+ * @returns {string | null} Stored value
+ */
+function loadSetting(key) {
+  try {
+    return localStorage.getItem(key);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Write a value to localStorage, ignoring errors.
+ *
+ * @param {string} key Storage key
+ * @param {string} value Value to store
+ */
+function saveSetting(key, value) {
+  try {
+    localStorage.setItem(key, value);
+  } catch (e) {
+    // localStorage might be unavailable; ignore errors
+  }
+}
+
+export class MidiInput {
+  /**
+   * Create a MIDI input listener. No port is opened until init() and
+   * selectInput() are called.
+   *
+   * @param {Object} options Configuration options
+   * @param {(note: number, velocity: number) => void} [options.onNoteOn]
+   *         Callback invoked with the MIDI note number and velocity (1–127)
+   * @param {(note: number) => void} [options.onNoteOff] Callback invoked
+   *         when a note is released
+   * @param {() => void} [options.onDevicesChange] Callback invoked when
+   *         ports are connected or disconnected
+   * @param {Object} [options.midiAccess] MIDIAccess (or mock) to use instead
+   *         of requesting one from the browser
+   */
+  constructor({
+    onNoteOn = () => {},
+    onNoteOff = () => {},
+    onDevicesChange = () => {},
+    midiAccess = null,
+  } = {}) {
+    this.onNoteOn = onNoteOn;
+    this.onNoteOff = onNoteOff;
+    this.onDevicesChange = onDevicesChange;
+    this.access = midiAccess;
+    this.port = null;
+    this._onMessage = (event) => this._handleMessage(event);
+    this._onStateChange = () => this.onDevicesChange();
+  }
+
+  /**
+   * Whether the browser exposes the Web MIDI API.
+   *
+   * @returns {boolean} True if navigator.requestMIDIAccess exists
+   */
+  static isSupported() {
+    return typeof navigator !== 'undefined' && !!navigator.requestMIDIAccess;
+  }
+
+  /**
+   * Obtain MIDI access (unless a MIDIAccess was passed to the
+   * constructor) and start watching for device changes.
+   *
+   * @returns {Promise<{id: string, name: string}[]>} Available inputs
+   */
+  async init() {
+    if (!this.access) {
+      this.access = await getMidiAccess();
+    }
+    // The access object may be shared with other listeners, so use
+    // addEventListener rather than onstatechange (mocks may omit it).
+    this.access.addEventListener?.('statechange', this._onStateChange);
+    return this.listInputs();
+  }
+
+  /**
+   * List the input ports currently available.
+   *
+   * @returns {{id: string, name: string}[]} Input ports
+   */
+  listInputs() {
+    if (!this.access) return [];
+    return Array.from(this.access.inputs.values()).map((port) => ({
+      id: port.id,
+      name: port.name || port.id,
+    }));
+  }
+
+  /**
+   * Listen to the input port with the given id, detaching from the
+   * previous one. Passing null (or an unknown id) stops listening.
+   *
+   * @param {string | null} id Port id from listInputs()
+   */
+  selectInput(id) {
+    if (this.port) {
+      this.port.onmidimessage = null;
+      this.port = null;
+    }
+    const port = id && this.access ? this.access.inputs.get(id) : null;
+    if (port) {
+      port.onmidimessage = this._onMessage;
+      this.port = port;
+    }
+  }
+
+  /**
+   * Stop listening and stop watching for device changes.
+   */
+  close() {
+    this.selectInput(null);
+    this.access?.removeEventListener?.('statechange', this._onStateChange);
+  }
+
+  /**
+   * Decode a raw MIDI message. Note-on with velocity 0 is treated as
+   * note-off, as many keyboards send it that way. Other messages are
+   * ignored.
+   *
+   * @param {{data: Uint8Array | number[]}} event MIDI message event
+   */
+  _handleMessage(event) {
+    const [status, note, velocity = 0] = event.data;
+    const command = status & 0xf0;
+    try {
+      if (command === 0x90 && velocity > 0) {
+        this.onNoteOn(note, velocity);
+      } else if (command === 0x80 || command === 0x90) {
+        this.onNoteOff(note);
+      }
+    } catch (callbackErr) {
+      console.error('Error in MIDI callback:', callbackErr);
+    }
+  }
+}
+
+/**
+ * Fill a <select> element with the available MIDI inputs and route the
+ * chosen one to the given callbacks. MIDI access is requested the first
+ * time the user opens the list (or right away if a device was chosen in
+ * an earlier session), so pages do not trigger a permission prompt on
+ * load. The choice is remembered in localStorage.
+ *
+ * @param {HTMLSelectElement} select Select element with an empty "none" option
+ * @param {Object} options Callbacks and optional MIDIAccess, as for MidiInput
+ * @returns {MidiInput} The input listener driving the callbacks
+ */
+export function connectMidiInputSelect(select, options) {
+  const input = new MidiInput({ ...options, onDevicesChange: () => populate() });
+  let saved = loadSetting(INPUT_STORAGE_KEY);
+
+  function populate() {
+    const current = select.value || saved;
+    select.innerHTML = '';
+    const none = document.createElement('option');
+    none.value = '';
+    none.textContent = 'Brak';
+    select.appendChild(none);
+    input.listInputs().forEach(({ id, name }) => {
+      const opt = document.createElement('option');
+      opt.value = id;
+      opt.textContent = name;
+      select.appendChild(opt);
+    });
+    // Keep the previous choice if that device is still connected
+    select.value = input.listInputs().some((p) => p.id === current) ? current : '';
+    input.selectInput(select.value || null);
+  }
+
+  let ready = null;
+  function ensureReady() {
+    if (!ready) {
+      ready = input.init().then(populate).catch((err) => {
+        console.warn('MIDI unavailable:', err);
+        select.disabled = true;
+        select.title = 'MIDI jest niedostępne w tej przeglądarce';
+      });
+    }
+    return ready;
+  }
+
+  select.addEventListener('focus', ensureReady);
+  select.addEventListener('pointerdown', ensureReady);
+  select.addEventListener('change', () => {
+    saved = select.value;
+    input.selectInput(select.value || null);
+    saveSetting(INPUT_STORAGE_KEY, select.value);
+  });
+  if (saved || options.midiAccess) ensureReady();
+  return input;
+}
+
+/**
+ * Fill a <select> element with the available MIDI outputs and send all
+ * playback to the chosen one via setMidiOutput(). The optional checkbox
+ * controls whether notes are also played through the local synth. As
+ * with inputs, MIDI access is only requested once the user opens the
+ * list or if an output was chosen in an earlier session.
+ *
+ * @param {HTMLSelectElement} select Select element with an empty "none" option
+ * @param {HTMLInputElement} [localCheckbox] "Also play locally" checkbox
+ * @param {Object} [midiAccess] MIDIAccess (or mock) to use for testing
+ */
+export function connectMidiOutputSelect(select, localCheckbox, midiAccess = null) {
+  let access = midiAccess;
+  let saved = loadSetting(OUTPUT_STORAGE_KEY);
+
+  function populate() {
+    const current = select.value || saved;
+    const outputs = Array.from(access.outputs.values());
+    select.innerHTML = '';
+    const none = document.createElement('option');
+    none.value = '';
+    none.textContent = 'Brak';
+    select.appendChild(none);
+    outputs.forEach((port) => {
+      const opt = document.createElement('option');
+      opt.value = port.id;
+      opt.textContent = port.name || port.id;
+      select.appendChild(opt);
+    });
+    select.value = outputs.some((p) => p.id === current) ? current : '';
+    setMidiOutput(select.value ? access.outputs.get(select.value) : null);
+  }
+
+  let ready = null;
+  function ensureReady() {
+    if (!ready) {
+      ready = (access ? Promise.resolve(access) : getMidiAccess())
+        .then((a) => {
+          access = a;
+          access.addEventListener?.('statechange', populate);
+          populate();
+        })
+        .catch((err) => {
+          console.warn('MIDI unavailable:', err);
+          select.disabled = true;
+          select.title = 'MIDI jest niedostępne w tej przeglądarce';
+        });
+    }
+    return ready;
+  }
+
+  select.addEventListener('focus', ensureReady);
+  select.addEventListener('pointerdown', ensureReady);
+  select.addEventListener('change', () => {
+    saved = select.value;
+    setMidiOutput(select.value ? access.outputs.get(select.value) : null);
+    saveSetting(OUTPUT_STORAGE_KEY, select.value);
+  });
+  if (localCheckbox) {
+    localCheckbox.checked = loadSetting(LOCAL_STORAGE_KEY) !== 'false';
+    setLocalPlayback(localCheckbox.checked);
+    localCheckbox.addEventListener('change', () => {
+      setLocalPlayback(localCheckbox.checked);
+      saveSetting(LOCAL_STORAGE_KEY, String(localCheckbox.checked));
+    });
+  }
+  if (saved || midiAccess) ensureReady();
+}
\ No newline at end of file
@@ -0,0 +1,728 @@
+import { parseSpelledNote, LETTERS, keyAccidental, keySignatureLetters } from './common.js';
+
+/*
+ * Standard music notation rendered as scalable SVG. renderNotation()
+ * draws one system of staves: a single treble, bass or percussion
+ * staff, or the grand staff used for piano music. It has a clef, an
+ * optional key and time signature, and a row of notes, chords and rests
+ * with stems, flags, beams, ledger lines, dots, accidentals and
+ * barlines. The exercises use it to show what they ask for.
+ *
+ * Everything is measured in staff spaces (the distance between two
+ * staff lines) and drawn with `currentColor`, so the colour of the whole
+ * system or of a single item can be changed from CSS. The item elements
+ * carry the item's class name (e.g. "current" or "wrong") for this.
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Distance between staff lines in SVG units, and half of it: one
+// diatonic step
+const SPACE = 10;
+const STEP = SPACE / 2;
+
+// Clefs: the note on the bottom staff line, the number of staff lines,
+// the glyph with its size and vertical anchor (in steps above the
+// bottom line; the line the clef curls around: G for treble, F for
+// bass) and how far the key signature sits below the treble one.
+const CLEFS = {
+  treble: { bottomLine: 'E4', lines: 5, glyph: '𝄞', size: 4.2, anchor: 2, keyOffset: 0 },
+  bass: { bottomLine: 'G2', lines: 5, glyph: '𝄢', size: 3.2, anchor: 6, keyOffset: -2 },
+  // A single line on which every note is written, for rhythms
+  percussion: { bottomLine: 'B4', lines: 1, glyph: null, size: 0, anchor: 0, keyOffset: 0 },
+};
+
+// Staves of a system, from top to bottom
+const SYSTEMS = {
+  treble: ['treble'],
+  bass: ['bass'],
+  grand: ['treble', 'bass'],
+  percussion: ['percussion'],
+};
+
+// Lowest note written on the treble staff of the grand staff
+export const GRAND_STAFF_SPLIT = 'C4';
+
+// Steps above the bottom line of the treble staff at which the sharps
+// and flats of a key signature are written
+const SHARP_STEPS = { F: 8, C: 5, G: 9, D: 6, A: 3, E: 7, B: 4 };
+const FLAT_STEPS = { B: 4, E: 7, A: 3, D: 6, G: 2, C: 5, F: 1 };
+
+// Note values: length in quarter notes and number of flags or beams
+const DURATIONS = {
+  w: { beats: 4, flags: 0 },
+  h: { beats: 2, flags: 0 },
+  q: { beats: 1, flags: 0 },
+  8: { beats: 0.5, flags: 1 },
+  16: { beats: 0.25, flags: 2 },
+};
+
+const ACCIDENTAL_SYMBOLS = { '-2': '𝄫', '-1': '♭', 0: '♮', 1: '♯', 2: '𝄪' };
+
+// Geometry, in staff spaces
+const HEAD_RX = 0.62;
+const HEAD_RY = 0.45;
+const STEM_LENGTH = 3.5;
+const ACCIDENTAL_WIDTH = 1.1;
+const MARGIN_Y = 5;
+const GRAND_STAFF_GAP = 6;
+
+/**
+ * Length of a note value in quarter notes, including dots.
+ *
+ * @param {string} duration Note value: 'w', 'h', 'q', '8' or '16'
+ * @param {number} [dots=0] Number of augmentation dots
+ * @returns {number} Length in quarter notes
+ */
+export function durationBeats(duration, dots = 0) {
+  const { beats } = DURATIONS[duration];
+  return beats * (2 - 0.5 ** dots);
+}
+
+/**
+ * Note value of a length in quarter notes, e.g. 1.5 → dotted quarter.
+ *
+ * @param {number} beats Length in quarter notes
+ * @returns {{duration: string, dots: number}} Note value
+ * @throws {Error} If the length is not a plain or dotted note value
+ */
+export function beatsToDuration(beats) {
+  for (const duration of Object.keys(DURATIONS)) {
+    for (const dots of [0, 1]) {
+      if (Math.abs(durationBeats(duration, dots) - beats) < 1e-6) return { duration, dots };
+    }
+  }
+  throw new Error(`No note value lasts ${beats} beats`);
+}
+
+/**
+ * Diatonic index of a note: seven steps per octave, counting written
+ * letters from C0, so the accidental does not change the position.
+ *
+ * @param {string} name Spelled note name with octave
+ * @returns {number} Diatonic steps above C0
+ */
+export function diatonicIndex(name) {
+  const { letter, octave } = parseSpelledNote(name);
+  return octave * 7 + LETTERS.indexOf(letter);
+}
+
+/**
+ * Create an SVG element with attributes.
+ *
+ * @param {string} tag Element name
+ * @param {Object<string, string|number>} [attrs={}] Attributes
+ * @param {Element} [parent] Element to append the new one to
+ * @returns {SVGElement} The element
+ */
+function svgElement(tag, attrs = {}, parent) {
+  const el = document.createElementNS(SVG_NS, tag);
+  Object.entries(attrs).forEach(([name, value]) => el.setAttribute(name, value));
+  if (parent) parent.appendChild(el);
+  return el;
+}
+
+/**
+ * Draw a line.
+ */
+function line(parent, x1, y1, x2, y2, width = 1) {
+  const attrs = { x1, y1, x2, y2, stroke: 'currentColor', 'stroke-width': width };
+  return svgElement('line', attrs, parent);
+}
+
+/**
+ * Draw a text glyph centred vertically on a point.
+ */
+function glyph(parent, text, x, y, size, anchor = 'middle') {
+  const el = svgElement(
+    'text',
+    {
+      x,
+      y,
+      'font-size': size,
+      'font-family': 'serif',
+      'text-anchor': anchor,
+      'dominant-baseline': 'central',
+      fill: 'currentColor',
+    },
+    parent,
+  );
+  el.textContent = text;
+  return el;
+}
+
+/**
+ * Lay the staves of a system out vertically.
+ *
+ * @param {string} system Key of SYSTEMS
+ * @returns {{staves: Object[], height: number}} Staves with their clef,
+ *   number of lines and top and bottom line positions, and the height of
+ *   the system
+ */
+function layoutStaves(system) {
+  const clefs = SYSTEMS[system];
+  if (!clefs) throw new Error(`Unknown staff: ${system}`);
+  let y = MARGIN_Y * SPACE;
+  const staves = clefs.map((clef) => {
+    const { lines, bottomLine } = CLEFS[clef];
+    const staff = { clef, lines, top: y, bottomY: y + (lines - 1) * SPACE, bottomLine };
+    // Middle line, which decides the stem direction
+    staff.middle = lines - 1;
+    y = staff.bottomY + GRAND_STAFF_GAP * SPACE;
+    return staff;
+  });
+  return { staves, height: staves[staves.length - 1].bottomY + MARGIN_Y * SPACE };
+}
+
+/**
+ * Position of every item in time, and the measure it falls in.
+ *
+ * @param {Object[]} items Notation items
+ * @param {number[]|null} timeSignature Beats per measure and beat value
+ * @returns {{start: number, beats: number, measure: number, barAfter: boolean}[]}
+ */
+function layoutTime(items, timeSignature) {
+  const measureLength = timeSignature ? (timeSignature[0] * 4) / timeSignature[1] : Infinity;
+  let start = 0;
+  return items.map((item) => {
+    const beats = durationBeats(item.duration ?? 'q', item.dots ?? 0);
+    const measure = Math.floor(start / measureLength + 1e-6);
+    start += beats;
+    const barAfter = Math.abs(start / measureLength - Math.round(start / measureLength)) < 1e-6;
+    return { start: start - beats, beats, measure, barAfter };
+  });
+}
+
+/**
+ * Split the keys of an item into one group of notes per staff, each with
+ * its staff steps and the accidental it needs. Accidentals are written
+ * when a note differs from the key signature or from an earlier note on
+ * the same line or space in the measure; `accidentalState` remembers
+ * those within the current measure.
+ *
+ * @returns {{staff: number, notes: {step: number, accidental: string}[]}[]}
+ */
+function groupNotes(item, staves, keySignature, accidentalState) {
+  const groups = new Map();
+  item.keys.forEach((name) => {
+    let staff = item.staff ?? 0;
+    if (item.staff === undefined && staves.length > 1) {
+      staff = diatonicIndex(name) >= diatonicIndex(GRAND_STAFF_SPLIT) ? 0 : 1;
+    }
+    const { clef, bottomLine } = staves[staff];
+    const step = clef === 'percussion' ? 0 : diatonicIndex(name) - diatonicIndex(bottomLine);
+    let accidental = '';
+    if (clef !== 'percussion') {
+      const { letter, accidental: alter, octave } = parseSpelledNote(name);
+      const position = `${letter}${octave}`;
+      const current = accidentalState.get(position) ?? keyAccidental(letter, keySignature);
+      if (alter !== current) accidental = ACCIDENTAL_SYMBOLS[alter];
+      accidentalState.set(position, alter);
+    }
+    if (!groups.has(staff)) groups.set(staff, { staff, notes: [] });
+    groups.get(staff).notes.push({ step, accidental });
+  });
+  return [...groups.values()].map((group) => {
+    group.notes.sort((a, b) => a.step - b.step);
+    return group;
+  });
+}
+
+/**
+ * Stem direction of notes on a staff: down when the note farthest from
+ * the middle line lies above it, otherwise up.
+ *
+ * @param {number[]} steps Staff steps of the notes
+ * @param {number} middle Step of the middle line
+ * @returns {number} -1 for an upward stem (towards smaller y), 1 for down
+ */
+function stemDirection(steps, middle) {
+  const above = Math.max(...steps) - middle;
+  const below = middle - Math.min(...steps);
+  return above > below ? 1 : -1;
+}
+
+/**
+ * Mark the heads of a chord that have to sit on the other side of the
+ * stem: the upper note of a second (stem up) or the lower one (stem
+ * down), so that neighbouring heads do not overlap.
+ *
+ * @param {{step: number}[]} notes Notes sorted by step, lowest first
+ * @param {number} direction Stem direction
+ */
+function displaceSeconds(notes, direction) {
+  const ordered = direction < 0 ? notes : [...notes].reverse();
+  ordered.forEach((note, i) => {
+    const prev = ordered[i - 1];
+    note.displaced = Boolean(prev && Math.abs(note.step - prev.step) === 1 && !prev.displaced);
+  });
+}
+
+/**
+ * Number of accidental columns needed in front of a chord. Accidentals
+ * closer than a sixth to one already placed go to the next column out.
+ *
+ * @param {{step: number, accidental: string}[]} notes Notes of one staff
+ * @returns {number} Number of columns; each note gets its `column`
+ */
+function placeAccidentals(notes) {
+  const columns = [];
+  [...notes].reverse().forEach((note) => {
+    if (!note.accidental) return;
+    let column = columns.findIndex((steps) => steps.every((s) => Math.abs(s - note.step) >= 6));
+    if (column < 0) {
+      column = columns.length;
+      columns.push([]);
+    }
+    columns[column].push(note.step);
+    note.column = column;
+  });
+  return columns.length;
+}
+
+/**
+ * Group consecutive beamable notes: eighths and sixteenths on a single
+ * staff that start within the same beat.
+ *
+ * @returns {number[][]} Indices of the items in each group of two or more
+ */
+function beamGroups(items, timing, groupsPerItem) {
+  const groups = [];
+  let current = [];
+  const flush = () => {
+    if (current.length > 1) groups.push(current);
+    current = [];
+  };
+  items.forEach((item, i) => {
+    const beamable =
+      !item.rest && DURATIONS[item.duration ?? 'q'].flags > 0 && groupsPerItem[i].length === 1;
+    if (!beamable) {
+      flush();
+      return;
+    }
+    const prev = current[current.length - 1];
+    if (
+      prev !== undefined &&
+      (groupsPerItem[prev][0].staff !== groupsPerItem[i][0].staff ||
+        Math.floor(timing[prev].start + 1e-6) !== Math.floor(timing[i].start + 1e-6) ||
+        timing[prev].measure !== timing[i].measure)
+    ) {
+      flush();
+    }
+    current.push(i);
+  });
+  flush();
+  return groups;
+}
+
+/**
+ * Draw a flag (or two for a sixteenth) at the end of a stem.
+ */
+function drawFlags(parent, x, y, direction, count) {
+  for (let i = 0; i < count; i++) {
+    const y0 = y - direction * i * 0.8 * SPACE;
+    const dy = -direction * SPACE;
+    svgElement(
+      'path',
+      {
+        d:
+          `M ${x} ${y0} c ${0.1 * SPACE} ${dy * 1.1} ${SPACE} ${dy * 1.2} ` +
+          `${0.9 * SPACE} ${dy * 2.6}`,
+        fill: 'none',
+        stroke: 'currentColor',
+        'stroke-width': 1.6,
+      },
+      parent,
+    );
+  }
+}
+
+/**
+ * Draw a rest of the given value centred on a staff, with its dots.
+ */
+function drawRest(parent, duration, dots, x, staff) {
+  const { top, bottomY, lines } = staff;
+  const middle = (top + bottomY) / 2;
+  const S = SPACE;
+  if (duration === 'w' || duration === 'h') {
+    // The whole rest hangs from the fourth line, the half rest sits on the middle one
+    const lineY = lines > 1 && duration === 'w' ? top + S : middle;
+    const y = duration === 'w' ? lineY : lineY - 0.5 * S;
+    const attrs = { x: x - 0.6 * S, y, width: 1.2 * S, height: 0.5 * S, fill: 'currentColor' };
+    svgElement('rect', attrs, parent);
+    line(parent, x - 0.9 * S, lineY, x + 0.9 * S, lineY);
+  } else if (duration === 'q') {
+    svgElement(
+      'path',
+      {
+        d:
+          `M ${x - 0.3 * S} ${middle - 1.5 * S} L ${x + 0.35 * S} ${middle - 0.6 * S} ` +
+          `L ${x - 0.3 * S} ${middle + 0.1 * S} L ${x + 0.35 * S} ${middle + 0.8 * S} ` +
+          `Q ${x - 0.6 * S} ${middle + 0.6 * S} ${x + 0.1 * S} ${middle + 1.5 * S}`,
+        fill: 'none',
+        stroke: 'currentColor',
+        'stroke-width': 2.2,
+      },
+      parent,
+    );
+  } else {
+    // Eighth and sixteenth rests: a slanted stem with a hook per flag
+    const flags = DURATIONS[duration].flags;
+    const stemTop = middle - 0.5 * S;
+    line(parent, x + 0.4 * S, stemTop, x - 0.1 * S, middle + (0.6 + flags * 0.5) * S, 1.4);
+    for (let i = 0; i < flags; i++) {
+      const y = stemTop + i * 0.9 * S;
+      const hookX = x - (0.3 + i * 0.2) * S;
+      svgElement('circle', { cx: hookX, cy: y, r: 0.22 * S, fill: 'currentColor' }, parent);
+      svgElement(
+        'path',
+        {
+          d: `M ${hookX} ${y} Q ${hookX + 0.35 * S} ${y + 0.3 * S} ${hookX + 0.7 * S} ${y}`,
+          fill: 'none',
+          stroke: 'currentColor',
+          'stroke-width': 1.2,
+        },
+        parent,
+      );
+    }
+  }
+  for (let d = 0; d < dots; d++) {
+    const attrs = { cx: x + (1 + d * 0.6) * S, cy: middle - STEP, r: 0.18 * S };
+    svgElement('circle', { ...attrs, fill: 'currentColor' }, parent);
+  }
+}
+
+/**
+ * Draw a clef, the key signature and the time signature at the start of
+ * a staff.
+ *
+ * @returns {number} x position where the notes may start
+ */
+function drawStaffStart(parent, staff, keySignature, timeSignature) {
+  const { clef, top, bottomY, lines } = staff;
+  const info = CLEFS[clef];
+  const stepY = (step) => bottomY - step * STEP;
+  let x = 0.6 * SPACE;
+  if (info.glyph) {
+    glyph(parent, info.glyph, x, stepY(info.anchor), info.size * SPACE, 'start');
+    x += 3.4 * SPACE;
+  } else {
+    // Percussion clef: two thick bars across the line
+    [0, 0.6].forEach((dx) => {
+      const attrs = { x: x + dx * SPACE, y: top - SPACE, width: 0.3 * SPACE, height: 2 * SPACE };
+      svgElement('rect', { ...attrs, fill: 'currentColor' }, parent);
+    });
+    x += 2.2 * SPACE;
+  }
+  if (lines > 1) {
+    const steps = keySignature >= 0 ? SHARP_STEPS : FLAT_STEPS;
+    keySignatureLetters(keySignature).forEach((letter) => {
+      const symbol = keySignature > 0 ? '♯' : '♭';
+      glyph(parent, symbol, x + 0.5 * SPACE, stepY(steps[letter] + info.keyOffset), 2 * SPACE);
+      x += SPACE;
+    });
+  }
+  if (timeSignature) {
+    const middle = (top + bottomY) / 2;
+    const offset = lines > 1 ? SPACE : 1.1 * SPACE;
+    [
+      [timeSignature[0], middle - offset],
+      [timeSignature[1], middle + offset],
+    ].forEach(([number, y]) => {
+      const digits = glyph(parent, String(number), x + 0.9 * SPACE, y, 2.2 * SPACE);
+      digits.setAttribute('font-weight', 'bold');
+    });
+    x += 2 * SPACE;
+  }
+  return x + 1.5 * SPACE;
+}
+
+/**
+ * Draw the notes of an item on one staff: ledger lines, heads,
+ * accidentals, dots, the stem and, unless the note is beamed, its flags.
+ *
+ * @returns {Object|null} The stem with its position and direction, or
+ *   null for a whole note
+ */
+function drawNoteGroup(parent, group, staff, headX, item, beamed) {
+  const duration = item.duration ?? 'q';
+  const stepY = (step) => staff.bottomY - step * STEP;
+  const { direction, notes } = group;
+  const headOffset = (note) => (note.displaced ? -direction * 2 * HEAD_RX * SPACE : 0);
+  const displaced = notes.some((n) => n.displaced);
+  const headRx = (duration === 'w' ? HEAD_RX * 1.25 : HEAD_RX) * SPACE;
+  // Outer edges of the heads, for accidentals on the left and dots on the right
+  const leftEdge = headX - headRx - (displaced && direction > 0 ? 2 * HEAD_RX * SPACE : 0);
+  const rightEdge = headX + headRx + (displaced && direction < 0 ? 2 * HEAD_RX * SPACE : 0);
+
+  // Ledger lines below and above the staff, wide enough for displaced heads
+  if (staff.lines > 1) {
+    const topStep = (staff.lines - 1) * 2;
+    const ledgerSteps = [];
+    for (let s = -2; s >= notes[0].step; s -= 2) ledgerSteps.push(s);
+    for (let s = topStep + 2; s <= notes[notes.length - 1].step; s += 2) ledgerSteps.push(s);
+    const overhang = 0.45 * SPACE;
+    ledgerSteps.forEach((s) => {
+      const xs = notes
+        .filter((n) => (s < 0 ? n.step <= s : n.step >= s))
+        .map((n) => headX + headOffset(n));
+      const x1 = Math.min(...xs) - headRx - overhang;
+      const x2 = Math.max(...xs) + headRx + overhang;
+      line(parent, x1, stepY(s), x2, stepY(s), 1.2);
+    });
+  }
+
+  const hollow = duration === 'w' || duration === 'h';
+  notes.forEach((note) => {
+    const cx = headX + headOffset(note);
+    const cy = stepY(note.step);
+    svgElement(
+      'ellipse',
+      {
+        cx,
+        cy,
+        rx: headRx,
+        ry: HEAD_RY * SPACE,
+        transform: duration === 'w' ? '' : `rotate(-20 ${cx} ${cy})`,
+        fill: hollow ? 'none' : 'currentColor',
+        stroke: 'currentColor',
+        'stroke-width': hollow ? 1.8 : 1,
+        class: 'notation-head',
+      },
+      parent,
+    );
+    if (note.accidental) {
+      const ax = leftEdge - (0.15 + (note.column + 0.5) * ACCIDENTAL_WIDTH) * SPACE;
+      glyph(parent, note.accidental, ax, cy, 2 * SPACE);
+    }
+    // Dots of notes on a line move up into the space
+    const dotY = note.step % 2 === 0 ? cy - STEP : cy;
+    for (let d = 0; d < (item.dots ?? 0); d++) {
+      const dotX = rightEdge + (0.5 + d * 0.6) * SPACE;
+      svgElement('circle', { cx: dotX, cy: dotY, r: 0.18 * SPACE, fill: 'currentColor' }, parent);
+    }
+  });
+  if (duration === 'w') return null;
+
+  // Stem from the far head to beyond the near one, at least to the middle line
+  const stemX = headX - direction * HEAD_RX * SPACE * 0.95;
+  const farY = stepY(direction < 0 ? notes[0].step : notes[notes.length - 1].step);
+  const nearY = stepY(direction < 0 ? notes[notes.length - 1].step : notes[0].step);
+  const middleY = stepY(staff.middle);
+  let endY = nearY + direction * STEM_LENGTH * SPACE;
+  endY = direction < 0 ? Math.min(endY, middleY) : Math.max(endY, middleY);
+  const stem = line(parent, stemX, farY, stemX, endY, 1.2);
+  const { flags } = DURATIONS[duration];
+  if (!beamed && flags) drawFlags(parent, stemX, endY, direction, flags);
+  return { stem, stemX, nearY, direction };
+}
+
+/**
+ * Draw the beams of a group of eighths and sixteenths: a straight, gently
+ * sloped primary beam over all stems, which are lengthened to meet it,
+ * and a second beam between neighbouring sixteenths (a short stub for a
+ * lone one).
+ *
+ * @param {SVGElement} parent Element to draw into
+ * @param {Object[]} stems Stems of the group, from drawNoteGroup()
+ * @param {number[]} flags Number of flags of each note
+ */
+function drawBeams(parent, stems, flags) {
+  const { direction } = stems[0];
+  const first = stems[0];
+  const last = stems[stems.length - 1];
+  const run = last.stemX - first.stemX || 1;
+  const slope = Math.max(-0.2, Math.min(0.2, (last.nearY - first.nearY) / run));
+  // Move the beam away from the heads until every stem is long enough
+  const bases = stems.map(
+    (s) => s.nearY + direction * STEM_LENGTH * SPACE - slope * (s.stemX - first.stemX),
+  );
+  const base = direction < 0 ? Math.min(...bases) : Math.max(...bases);
+  const beamY = (x) => base + slope * (x - first.stemX);
+  stems.forEach((s) => s.stem.setAttribute('y2', beamY(s.stemX)));
+
+  const thickness = -direction * 0.5 * SPACE;
+  const beam = (x1, x2, level) => {
+    const y1 = beamY(x1) - direction * level * 0.8 * SPACE;
+    const y2 = beamY(x2) - direction * level * 0.8 * SPACE;
+    const points = `${x1},${y1} ${x2},${y2} ${x2},${y2 + thickness} ${x1},${y1 + thickness}`;
+    svgElement('polygon', { points, fill: 'currentColor' }, parent);
+  };
+  beam(first.stemX, last.stemX, 0);
+  stems.forEach((s, k) => {
+    if (flags[k] < 2) return;
+    if (flags[k + 1] >= 2) {
+      beam(s.stemX, stems[k + 1].stemX, 1);
+    } else if (!(flags[k - 1] >= 2)) {
+      // A lone sixteenth points its stub into the group
+      const stub = k === 0 ? SPACE : -SPACE;
+      beam(Math.min(s.stemX, s.stemX + stub), Math.max(s.stemX, s.stemX + stub), 1);
+    }
+  });
+}
+
+/**
+ * Horizontal position of every item: room for accidentals and displaced
+ * heads, then space that grows with the note value, and a barline after
+ * every full measure but the last.
+ *
+ * @returns {{positions: {headX: number, barX: number|null}[], end: number}}
+ */
+function layoutItems(items, timing, groupsPerItem, startX, timeSignature) {
+  let x = startX;
+  const positions = items.map((item, i) => {
+    let columns = 0;
+    let left = false;
+    let right = false;
+    groupsPerItem[i].forEach((group) => {
+      displaceSeconds(group.notes, group.direction);
+      columns = Math.max(columns, placeAccidentals(group.notes));
+      if (group.notes.some((n) => n.displaced)) {
+        if (group.direction < 0) right = true;
+        else left = true;
+      }
+    });
+    const headX = x + (columns * ACCIDENTAL_WIDTH + (left ? 3 : 1) * HEAD_RX) * SPACE;
+    const flagged = !item.rest && DURATIONS[item.duration ?? 'q'].flags > 0;
+    const after =
+      (right ? 3 : 1) * HEAD_RX +
+      (item.dots ?? 0) * 0.8 +
+      1.6 +
+      1.6 * Math.sqrt(timing[i].beats) +
+      (flagged ? 0.6 : 0);
+    x = headX + after * SPACE;
+    const position = { headX, barX: null };
+    if (timeSignature && timing[i].barAfter && i < items.length - 1) {
+      position.barX = x;
+      x += 1.6 * SPACE;
+    }
+    return position;
+  });
+  return { positions, end: x + SPACE };
+}
+
+/**
+ * Render a system of staves with notes, chords and rests into a
+ * container, replacing its content.
+ *
+ * Items are drawn left to right. Each item is an object with:
+ * - `keys`: spelled note names with octave (e.g. ["C4", "Eb4", "G4"]);
+ *   more than one key makes a chord; on the percussion staff the pitch
+ *   is ignored
+ * - `duration`: 'w', 'h', 'q' (default), '8' or '16', and `dots`
+ * - `rest`: true for a rest of that duration instead of notes
+ * - `staff`: index of the staff on the grand staff (0 treble, 1 bass);
+ *   by default notes from middle C up go to the treble staff
+ * - `className`: class added to the item's SVG group, e.g. to highlight it
+ *
+ * Eighths and sixteenths within one beat are beamed together. With a
+ * time signature, barlines are drawn after every full measure and
+ * accidentals hold until the end of the measure; without one every
+ * note gets the accidentals that differ from the key signature.
+ *
+ * @param {HTMLElement} container Element to render into
+ * @param {Object} [options]
+ * @param {string} [options.clef='treble'] 'treble', 'bass', 'grand' or 'percussion'
+ * @param {number} [options.keySignature=0] Sharps (positive) or flats (negative)
+ * @param {number[]|null} [options.timeSignature=null] E.g. [3, 4]
+ * @param {Object[]} [options.items=[]] Notes, chords and rests
+ * @param {number} [options.width=0] Minimum width in SVG units; extra
+ *   room is shared out between the items
+ * @param {string} [options.label] Accessible description of the music
+ * @returns {SVGSVGElement} The rendered SVG
+ */
+export function renderNotation(
+  container,
+  { clef = 'treble', keySignature = 0, timeSignature = null, items = [], width = 0, label } = {},
+) {
+  const { staves, height } = layoutStaves(clef);
+  const timing = layoutTime(items, timeSignature);
+
+  // Notes of each item per staff, with accidentals carried through a measure
+  let accidentalState = new Map();
+  let measure = 0;
+  const groupsPerItem = items.map((item, i) => {
+    if (timeSignature === null || timing[i].measure !== measure) accidentalState = new Map();
+    measure = timing[i].measure;
+    return item.rest ? [] : groupNotes(item, staves, keySignature, accidentalState);
+  });
+
+  // Stem directions: per chord, but shared within a beam group
+  const beams = beamGroups(items, timing, groupsPerItem);
+  groupsPerItem.forEach((groups) =>
+    groups.forEach((group) => {
+      const steps = group.notes.map((n) => n.step);
+      group.direction = stemDirection(steps, staves[group.staff].middle);
+    }),
+  );
+  beams.forEach((indices) => {
+    const staff = staves[groupsPerItem[indices[0]][0].staff];
+    const steps = indices.flatMap((i) => groupsPerItem[i][0].notes.map((n) => n.step));
+    const direction = stemDirection(steps, staff.middle);
+    indices.forEach((i) => {
+      groupsPerItem[i][0].direction = direction;
+    });
+  });
+
+  const svg = svgElement('svg', { class: 'notation-svg', role: 'img' });
+  if (label) svgElement('title', {}, svg).textContent = label;
+  const staffGroup = svgElement('g', { class: 'notation-staff' }, svg);
+  const startX = Math.max(
+    ...staves.map((staff) => drawStaffStart(staffGroup, staff, keySignature, timeSignature)),
+  );
+  const layout = layoutItems(items, timing, groupsPerItem, startX, timeSignature);
+  const { positions } = layout;
+  let totalWidth = layout.end;
+  if (width > totalWidth && items.length) {
+    // Share the extra room out so the music fills the requested width
+    const extra = (width - totalWidth) / items.length;
+    positions.forEach((p, i) => {
+      p.headX += extra * (i + 0.5);
+      if (p.barX !== null) p.barX += extra * (i + 1);
+    });
+    totalWidth = width;
+  }
+  svg.setAttribute('viewBox', `0 0 ${totalWidth} ${height}`);
+  svg.setAttribute('width', totalWidth);
+  svg.setAttribute('height', height);
+
+  // Staff lines, the line joining the staves of a grand staff and barlines
+  staves.forEach(({ top, lines }) => {
+    for (let i = 0; i < lines; i++) {
+      line(staffGroup, 0, top + i * SPACE, totalWidth, top + i * SPACE);
+    }
+  });
+  const singleLine = staves.length === 1 && staves[0].lines === 1;
+  const barTop = staves[0].top - (singleLine ? SPACE : 0);
+  const barBottom = staves[staves.length - 1].bottomY + (singleLine ? SPACE : 0);
+  if (staves.length > 1) line(staffGroup, 0, barTop, 0, barBottom, 2);
+  positions.forEach(({ barX }) => {
+    if (barX !== null) line(staffGroup, barX, barTop, barX, barBottom);
+  });
+  line(staffGroup, totalWidth - 0.5, barTop, totalWidth - 0.5, barBottom);
+
+  // Items, each in its own group so that it can be styled
+  const beamed = new Set(beams.flat());
+  const stems = new Map();
+  const itemGroups = items.map((item, i) => {
+    const className = ['notation-item', item.className].filter(Boolean).join(' ');
+    const g = svgElement('g', { class: className, 'data-index': i }, svg);
+    const { headX } = positions[i];
+    if (item.rest) {
+      drawRest(g, item.duration ?? 'q', item.dots ?? 0, headX, staves[item.staff ?? 0]);
+    }
+    groupsPerItem[i].forEach((group) => {
+      const stem = drawNoteGroup(g, group, staves[group.staff], headX, item, beamed.has(i));
+      if (stem) stems.set(i, stem);
+    });
+    return g;
+  });
+  beams.forEach((indices) => {
+    const flags = indices.map((i) => DURATIONS[items[i].duration].flags);
+    drawBeams(itemGroups[indices[0]], indices.map((i) => stems.get(i)), flags);
+  });
+
+  container.innerHTML = '';
+  container.appendChild(svg);
+  return svg;
+}
\ No newline at end of file
@@ -1,63 +1,113 @@
+import { getAudioContext } from './common.js';
+import { NoteSegmenter } from './noteSegmenter.js';
+import { getStreamDeviceId, useDevice } from './micCalibration.js';
+
 /*
  * NoteDetector is a helper class that listens to the user's microphone
  * and performs real‑time pitch detection. It uses the Pitchy library to
- * extract the dominant frequency from a short audio buffer. When a
- * reliable pitch is found, it invokes the provided callback with the
- * frequency value in Hertz. The consumer of this class can then
- * translate the frequency into a musical note using tonal.js.
+ * extract the dominant frequency from a short audio buffer. Every frame
+ * with a reliable pitch is passed to onFrequency as the raw frequency
+ * stream in Hertz.
+ *
+ * On top of that stream a NoteSegmenter (see noteSegmenter.js) combines
+ * pitch stability with the frame's level and spectral flux to find note
+ * onsets and offsets, reported through onNoteStart and onNoteEnd. A held
+ * note is reported once, and a note struck repeatedly is reported once
+ * per strike.
+ *
+ * The noise gate, clarity threshold and A4 reference come from the
+ * calibration stored for the microphone that was opened (see
+ * micCalibration.js) unless the gate or threshold are passed explicitly.
  *
  * The class exposes start() and stop() methods. start() requests
  * microphone access, sets up a Web Audio processing chain and begins
  * analysing audio frames. stop() tears down all resources.
+ *
+ * Analysis normally runs off the main thread in an AudioWorklet (see
+ * pitchWorklet.js), which posts each frame's features back. Browsers
+ * without AudioWorklet support fall back to a ScriptProcessorNode that
+ * runs the same FrameAnalyser on the main thread.
  */
 
+// Worklet module URL, resolved relative to this file.
+const WORKLET_URL = new URL('./pitchWorklet.js', import.meta.url);
+// Contexts into which the worklet module has been loaded.
+const workletModules = new WeakMap();
+
 export class NoteDetector {
   /**
    * Create a new note detector.
    *
    * @param {Object} options Configuration options
-   * @param {(freq: number) => void} options.onFrequency Callback invoked when a
-   *         pitch is detected (in Hz).
-   * @param {number} [options.clarityThreshold=0.85] Minimum clarity to treat a
-   *         detection as valid. Values range from 0 to 1.
+   * @param {(freq: number) => void} [options.onFrequency] Callback invoked for
+   *         every frame with a clear pitch (in Hz).
+   * @param {(note: number, time: number) => void} [options.onNoteStart]
+   *         Callback invoked with the MIDI note number and audio context time
+   *         when a note begins.
+   * @param {(note: number, duration: number) => void} [options.onNoteEnd]
+   *         Callback invoked with the MIDI note number and its duration in
+   *         seconds when a note ends.
+   * @param {(frame: Object) => void} [options.onFrame] Callback invoked with
+   *         every analysed frame ({ pitch, clarity, rms, flux, time }),
+   *         before the gate and clarity threshold are applied.
+   * @param {number} [options.clarityThreshold] Minimum clarity to treat a
+   *         detection as valid. Values range from 0 to 1. Defaults to the
+   *         microphone's calibrated value.
+   * @param {number} [options.gateDb] Level in dBFS below which input is
+   *         treated as silence. Defaults to the microphone's calibrated
+   *         value; pass -Infinity to disable the gate.
    */
-  constructor({ onFrequency, clarityThreshold = 0.85 }) {
+  constructor({ onFrequency, onNoteStart, onNoteEnd, onFrame, clarityThreshold, gateDb }) {
     this.onFrequency = onFrequency;
-    this.clarityThreshold = clarityThreshold;
+    this.onFrame = onFrame;
+    this.options = { clarityThreshold, gateDb };
+    this.clarityThreshold = null;
+    this.gateDb = null;
+    this.deviceId = null;
+    this.segmenter = new NoteSegmenter({ onNoteStart, onNoteEnd });
     this.bufferLength = 1024;
     this.audioCtx = null;
     this.stream = null;
     this.source = null;
     this.processor = null;
-    this.detector = null;
+    this.workletNode = null;
+    this.analyser = null;
     this.buffer = new Float32Array(this.bufferLength);
-    this.lastDetectTime = 0;
   }
 
   /**
-   * Load the Pitchy module dynamically. This is deferred until the first
-   * time start() is called to avoid unnecessary network requests.
+   * Load the worklet module into the audio context once.
+   *
+   * @returns {Promise<void>} Resolves when the processor is registered
+   */
+  _loadWorklet() {
+    const ctx = this.audioCtx;
+    if (!workletModules.has(ctx)) {
+      const loading = ctx.audioWorklet.addModule(WORKLET_URL);
+      // Forget a failed attempt so that a later start() can retry
+      loading.catch(() => workletModules.delete(ctx));
+      workletModules.set(ctx, loading);
+    }
+    return workletModules.get(ctx);
+  }
+
+  /**
+   * Load the frame analyser (and with it Pitchy) dynamically. This is
+   * deferred until the ScriptProcessor fallback needs it to avoid
+   * unnecessary requests.
    */
-  async _loadPitchy() {
-    if (this.detector) return;
-    // Dynamically import pitchy from jsDelivr. The module exports
-    // PitchDetector, which we use to create detectors for Float32 arrays.
-    // Import the local copy of pitchy. This avoids network requests and
-    // ensures the detector works offline. The file is provided in
-    // piano-app/js/lib/pitchy.js and re‑exported by the build script.
-    const { PitchDetector } = await import('./lib/pitchy.js');
-    this.detectorClass = PitchDetector;
+  async _loadAnalyser() {
+    if (this.analyserClass) return;
+    const { FrameAnalyser } = await import('./frameAnalyser.js');
+    this.analyserClass = FrameAnalyser;
   }
 
   /**
    * Start listening to the microphone and processing audio.
    */
   async start() {
-    await this._loadPitchy();
-    // Create an audio context (resume if it already exists and is suspended).
-    this.audioCtx = new (window.AudioContext || window.webkitAudioContext)();
-    // Prepare pitch detector for the given buffer length.
-    this.detector = this.detectorClass.forFloat32Array(this.bufferLength);
+    // Use the application's shared audio context (resumed if suspended).
+    this.audioCtx = getAudioContext();
     // Request microphone access.
     try {
       this.stream = await navigator.mediaDevices.getUserMedia({ audio: true });
@@ -67,6 +117,63 @@ export class NoteDetector {
       return;
     }
     this.source = this.audioCtx.createMediaStreamSource(this.stream);
+    this._applyCalibration();
+    this.segmenter.reset();
+    if (this.audioCtx.audioWorklet && typeof AudioWorkletNode !== 'undefined') {
+      try {
+        await this._startWorklet();
+        return;
+      } catch (err) {
+        console.warn('AudioWorklet unavailable, using ScriptProcessor:', err);
+      }
+    }
+    await this._startScriptProcessor();
+  }
+
+  /**
+   * Look up the calibration of the opened microphone and apply it to the
+   * detector, the segmenter and the global tuning reference.
+   */
+  _applyCalibration() {
+    this.deviceId = getStreamDeviceId(this.stream);
+    const calibration = useDevice(this.deviceId);
+    this.clarityThreshold = this.options.clarityThreshold ?? calibration.clarityThreshold;
+    this.gateDb = this.options.gateDb ?? calibration.gateDb;
+    this.segmenter.clarityThreshold = this.clarityThreshold;
+    this.segmenter.gateDb = this.gateDb;
+  }
+
+  /**
+   * Run the analysis in an AudioWorkletNode. The node has no outputs, so
+   * it does not need to be connected to the destination to be processed.
+   */
+  async _startWorklet() {
+    await this._loadWorklet();
+    // stop() may have been called while the module was loading
+    if (!this.source) return;
+    this.workletNode = new AudioWorkletNode(this.audioCtx, 'pitch-detector', {
+      numberOfInputs: 1,
+      numberOfOutputs: 0,
+      processorOptions: {
+        bufferLength: this.bufferLength,
+        gateDb: this.gateDb,
+      },
+    });
+    this.workletNode.port.onmessage = (event) => {
+      this._handleFrame(event.data);
+    };
+    this.source.connect(this.workletNode);
+  }
+
+  /**
+   * Fallback for browsers without AudioWorklet: run the frame analysis on
+   * the main thread from a ScriptProcessorNode.
+   */
+  async _startScriptProcessor() {
+    await this._loadAnalyser();
+    if (!this.source) return;
+    // Prepare the analyser for the given buffer length.
+    this.analyser = new this.analyserClass(this.bufferLength, { gateDb: this.gateDb });
     // Create script processor for real‑time analysis.
     this.processor = this.audioCtx.createScriptProcessor(
       this.bufferLength,
@@ -79,31 +186,55 @@ export class NoteDetector {
       // Copy data from the input buffer into our local array.
       const input = event.inputBuffer.getChannelData(0);
       this.buffer.set(input);
-      // Estimate pitch using Pitchy. findPitch returns [frequency, clarity].
-      const [pitch, clarity] = this.detector.findPitch(
-        this.buffer,
-        this.audioCtx.sampleRate
-      );
-      if (pitch && clarity >= this.clarityThreshold) {
-        const now = performance.now();
-        // Throttle detections to avoid firing too often on the same note.
-        if (now - this.lastDetectTime > 250) {
-          this.lastDetectTime = now;
-          try {
-            this.onFrequency(pitch);
-          } catch (callbackErr) {
-            console.error('Error in onFrequency callback:', callbackErr);
-          }
-        }
-      }
+      const features = this.analyser.analyse(this.buffer, this.audioCtx.sampleRate);
+      // playbackTime is the start of the block; report its end like the worklet
+      const time = event.playbackTime + this.bufferLength / this.audioCtx.sampleRate;
+      this._handleFrame({ ...features, time });
     };
   }
 
+  /**
+   * Handle one analysed frame from either processing path. Clear pitches
+   * go to the raw frequency callback and every frame goes to the
+   * segmenter, which emits the note start and end events.
+   *
+   * @param {{pitch: number, clarity: number, rms: number, flux: number,
+   *          time: number}} frame Frame features
+   */
+  _handleFrame(frame) {
+    if (this.onFrame) {
+      try {
+        this.onFrame(frame);
+      } catch (callbackErr) {
+        console.error('Error in onFrame callback:', callbackErr);
+      }
+    }
+    if (this.onFrequency && frame.pitch && frame.clarity >= this.clarityThreshold) {
+      try {
+        this.onFrequency(frame.pitch);
+      } catch (callbackErr) {
+        console.error('Error in onFrequency callback:', callbackErr);
+      }
+    }
+    this.segmenter.process(frame);
+  }
+
   /**
    * Stop processing and release resources.
    */
   stop() {
+    if (this.audioCtx) {
+      // Close a note that is still sounding
+      this.segmenter.flush(this.audioCtx.currentTime);
+    }
+    if (this.workletNode) {
+      this.workletNode.port.onmessage = null;
+      this.workletNode.disconnect();
+      this.workletNode = null;
+    }
     if (this.processor) {
+      // Drop the handler too: a block already queued may still be delivered
+      this.processor.onaudioprocess = null;
       this.processor.disconnect();
       this.processor = null;
     }
@@ -115,12 +246,8 @@ export class NoteDetector {
       this.stream.getTracks().forEach((t) => t.stop());
       this.stream = null;
     }
-    if (this.audioCtx) {
-      // Gracefully close the audio context. Some browsers throw if closed
-      // prematurely.
-      this.audioCtx.close().catch(() => {});
-      this.audioCtx = null;
-    }
-    this.detector = null;
+    // The audio context is shared with playback, so it is left open.
+    this.audioCtx = null;
+    this.analyser = null;
   }
 }
\ No newline at end of file
@@ -0,0 +1,167 @@
+import { freqToMidi } from './common.js';
+
+/*
+ * NoteSegmenter turns the stream of analysed frames produced by
+ * NoteDetector into discrete note events. A note starts once the same
+ * MIDI pitch has been detected in `stableFrames` consecutive frames and
+ * ends when the level drops below the gate, when a different stable
+ * pitch takes over, or when an onset (a jump in spectral flux or level)
+ * shows that the key was struck again. The last case is what separates
+ * repeated notes such as C C C, while a single held note produces
+ * exactly one start and one end however long it rings.
+ */
+
+// Number of past flux values used for the adaptive onset threshold.
+const FLUX_HISTORY = 8;
+
+export class NoteSegmenter {
+  /**
+   * @param {Object} options Configuration options
+   * @param {(note: number, time: number) => void} [options.onNoteStart]
+   *        Called with the MIDI note number and the audio context time at
+   *        which the note began
+   * @param {(note: number, duration: number) => void} [options.onNoteEnd]
+   *        Called with the MIDI note number and its duration in seconds
+   * @param {number} [options.clarityThreshold=0.85] Minimum Pitchy clarity
+   *        for a frame to count as pitched
+   * @param {number} [options.gateDb=-50] Frames quieter than this (RMS in
+   *        dBFS) are treated as silence
+   * @param {number} [options.stableFrames=2] Consecutive frames with the
+   *        same pitch needed to start a note
+   * @param {number} [options.releaseFrames=2] Consecutive silent frames
+   *        needed to end a note
+   * @param {number} [options.minOnsetInterval=0.08] Shortest time in
+   *        seconds between two onsets
+   */
+  constructor({
+    onNoteStart,
+    onNoteEnd,
+    clarityThreshold = 0.85,
+    gateDb = -50,
+    stableFrames = 2,
+    releaseFrames = 2,
+    minOnsetInterval = 0.08,
+  } = {}) {
+    this.onNoteStart = onNoteStart;
+    this.onNoteEnd = onNoteEnd;
+    this.clarityThreshold = clarityThreshold;
+    this.gateDb = gateDb;
+    this.stableFrames = stableFrames;
+    this.releaseFrames = releaseFrames;
+    this.minOnsetInterval = minOnsetInterval;
+    this.reset();
+  }
+
+  /**
+   * Forget all state without emitting events.
+   */
+  reset() {
+    this.current = null;
+    this.candidate = null;
+    this.silentFrames = 0;
+    this.fluxHistory = [];
+    this.prevDb = -Infinity;
+    this.lastOnset = -Infinity;
+  }
+
+  /**
+   * Feed one analysed frame.
+   *
+   * @param {Object} frame Frame features
+   * @param {number} frame.time Audio context time of the frame in seconds
+   * @param {number} frame.pitch Detected frequency in Hz (0 if none)
+   * @param {number} frame.clarity Pitchy clarity from 0 to 1
+   * @param {number} frame.rms RMS level of the frame
+   * @param {number} frame.flux Spectral flux of the frame
+   */
+  process({ time, pitch, clarity, rms, flux }) {
+    const db = rms > 0 ? 20 * Math.log10(rms) : -Infinity;
+    const onset = this._detectOnset(time, db, flux);
+    if (db < this.gateDb) {
+      this.candidate = null;
+      this.silentFrames++;
+      if (this.current && this.silentFrames >= this.releaseFrames) {
+        this._endNote(time);
+      }
+      return;
+    }
+    this.silentFrames = 0;
+    // A new attack ends the sounding note even if the pitch is unchanged.
+    if (onset && this.current) {
+      this._endNote(time);
+    }
+    if (onset) this.candidate = null;
+    const midi = pitch && clarity >= this.clarityThreshold ? freqToMidi(pitch) : null;
+    // Unpitched frames (attack transients, noise) neither start nor end notes
+    if (midi === null) return;
+    if (this.current && this.current.note === midi) {
+      this.candidate = null;
+      return;
+    }
+    if (this.candidate && this.candidate.note === midi) {
+      this.candidate.frames++;
+    } else {
+      this.candidate = { note: midi, frames: 1, time };
+    }
+    if (this.candidate.frames >= this.stableFrames) {
+      const { note, time: start } = this.candidate;
+      this.candidate = null;
+      if (this.current) this._endNote(start);
+      this._startNote(note, start);
+    }
+  }
+
+  /**
+   * End the sounding note, if any, e.g. when the microphone is stopped.
+   *
+   * @param {number} time Audio context time of the end
+   */
+  flush(time) {
+    if (this.current) this._endNote(time);
+    this.candidate = null;
+  }
+
+  /**
+   * Decide whether a frame is an onset. The flux must clearly exceed its
+   * recent average, or the level must jump, and onsets closer together
+   * than minOnsetInterval are merged.
+   */
+  _detectOnset(time, db, flux) {
+    const history = this.fluxHistory;
+    const mean = history.length
+      ? history.reduce((a, b) => a + b, 0) / history.length
+      : 0;
+    history.push(flux);
+    if (history.length > FLUX_HISTORY) history.shift();
+    const levelJump = db - this.prevDb;
+    this.prevDb = db;
+    if (db < this.gateDb) return false;
+    const isOnset = flux > 2 * mean + 0.05 || levelJump > 9;
+    if (!isOnset || time - this.lastOnset < this.minOnsetInterval) return false;
+    this.lastOnset = time;
+    return true;
+  }
+
+  _startNote(note, time) {
+    this.current = { note, start: time };
+    if (this.onNoteStart) {
+      try {
+        this.onNoteStart(note, time);
+      } catch (callbackErr) {
+        console.error('Error in onNoteStart callback:', callbackErr);
+      }
+    }
+  }
+
+  _endNote(time) {
+    const { note, start } = this.current;
+    this.current = null;
+    if (this.onNoteEnd) {
+      try {
+        this.onNoteEnd(note, Math.max(0, time - start));
+      } catch (callbackErr) {
+        console.error('Error in onNoteEnd callback:', callbackErr);
+      }
+    }
+  }
+}
\ No newline at end of file
@@ -0,0 +1,52 @@
+import { FrameAnalyser } from './frameAnalyser.js';
+
+/*
+ * AudioWorklet side of NoteDetector. The processor runs on the audio
+ * rendering thread: it collects the 128-sample render quanta into
+ * buffers of `bufferLength` samples, analyses each full buffer with
+ * FrameAnalyser (Pitchy pitch and clarity, RMS level, spectral flux)
+ * and posts the features back to the main thread together with `time`,
+ * the audio context time at the end of the buffer. Keeping the analysis
+ * here means a busy UI thread can no longer cause dropped or glitching
+ * frames.
+ *
+ * The module is loaded by NoteDetector with audioWorklet.addModule();
+ * browsers without AudioWorklet use the ScriptProcessor fallback there.
+ */
+
+class PitchDetectorProcessor extends AudioWorkletProcessor {
+  /**
+   * @param {Object} options Node options; processorOptions.bufferLength
+   *        sets the analysis buffer size (default 1024) and
+   *        processorOptions.gateDb the noise gate in dBFS
+   */
+  constructor(options) {
+    super();
+    const { bufferLength = 1024, gateDb } = options.processorOptions || {};
+    this.buffer = new Float32Array(bufferLength);
+    this.filled = 0;
+    this.analyser = new FrameAnalyser(bufferLength, { gateDb });
+  }
+
+  process(inputs) {
+    // First channel of the first input; absent while the source is silent
+    const channel = inputs[0] && inputs[0][0];
+    if (!channel) return true;
+    let offset = 0;
+    while (offset < channel.length) {
+      const count = Math.min(channel.length - offset, this.buffer.length - this.filled);
+      this.buffer.set(channel.subarray(offset, offset + count), this.filled);
+      this.filled += count;
+      offset += count;
+      if (this.filled === this.buffer.length) {
+        const features = this.analyser.analyse(this.buffer, sampleRate);
+        this.port.postMessage({ ...features, time: currentTime });
+        this.filled = 0;
+      }
+    }
+    // Keep the processor alive for as long as the node exists
+    return true;
+  }
+}
+
+registerProcessor('pitch-detector', PitchDetectorProcessor);
\ No newline at end of file
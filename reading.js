@@ -1,197 +1,893 @@
-import { playSingleNote, freqToPitchClass, parseNoteName, addStars } from './common.js';
+import {
+  playSingleNote,
+  playMelody,
+  noteNameToMidi,
+  midiToNoteName,
+  parseSpelledNote,
+  spelledNoteName,
+  LETTERS,
+  keyAccidental,
+  spellMidi,
+  formatNoteName,
+  compareNotes,
+  persistCheckbox,
+  addStars,
+} from './common.js';
 import { NoteDetector } from './noteDetector.js';
+import { PianoKeyboard } from './keyboard.js';
+import { connectMidiInputSelect } from './midi.js';
+import { Key, polishNoteName } from './theory.js';
+import { renderNotation, diatonicIndex, GRAND_STAFF_SPLIT } from './notation.js';
 
 /*
- * This module implements a simple note reading exercise on a five‑line staff.
- * A random natural note within a comfortable range is selected and drawn
- * on the canvas. The user can listen to the pitch, generate a new note,
+ * This module implements a note reading exercise on a five‑line staff
+ * in the treble or bass clef, or on the grand staff used for piano
+ * music. The staff starts with the chosen key signature, and a random
+ * note of that key within the chosen range is drawn on the staff, with
+ * ledger lines where it lies above or below a staff. Optionally some
+ * notes are chromatically altered and drawn with a sharp, flat or
+ * natural sign. The user can listen to the pitch, generate a new note,
  * and attempt to reproduce it on their instrument. Microphone input is
- * analysed to verify whether the user played the correct note (pitch class).
+ * analysed to verify whether the user played the exact written pitch
+ * (so F♯ is not accepted for F). In strict mode the note must also be
+ * played in the written octave.
+ *
+ * In the sight-reading mode a whole line of notes is written in 4/4
+ * time and played through from left to right, the current note being
+ * highlighted. Every played note is judged and the line moves on, so
+ * mistakes are not corrected but counted. At the end of the line the
+ * pace in notes per minute, the accuracy and the positions of the wrong
+ * notes are reported, and the staff positions that caused errors are
+ * tallied over the session.
+ *
+ * The flash-card mode drills staff recognition away from the piano: a
+ * series of natural notes is shown without a key signature, and each
+ * must be named with the letter buttons (C–H) or the letter keys before
+ * a countdown runs out. After the series a histogram of response times
+ * and a confusion matrix of shown against answered letters show which
+ * notes are slow or mixed up.
  */
 
-// Define a set of natural notes to choose from. We limit the range to
-// notes that fit neatly within the staff (E4 at the bottom line up to
-// F5 at the top line) to avoid excessive ledger lines.
-const NATURAL_NOTES = [
-  'E4', 'F4', 'G4', 'A4', 'B4', 'C5', 'D5', 'E5', 'F5'
+// Lowest and highest notes asked for in each clef: three ledger lines
+// below and above the staff
+const CLEF_RANGES = {
+  treble: { low: 'A3', high: 'E6' },
+  bass: { low: 'C2', high: 'G4' },
+};
+
+// Clefs of the staves shown in each staff mode, from top to bottom. On
+// the grand staff notes from middle C upwards are written in the treble
+// clef and lower notes in the bass clef.
+const STAFF_MODES = {
+  treble: ['treble'],
+  bass: ['bass'],
+  grand: ['treble', 'bass'],
+};
+
+// Major keys from seven flats to seven sharps, indexed by fifths + 7
+const MAJOR_KEYS = [
+  'Cb', 'Gb', 'Db', 'Ab', 'Eb', 'Bb', 'F', 'C', 'G', 'D', 'A', 'E', 'B', 'F#', 'C#',
 ];
 
-// Canvas and context
-const canvas = document.getElementById('staff-canvas');
-const ctx = canvas.getContext('2d');
+// Share of notes that get an accidental outside the key signature when
+// chromatic notes are enabled
+const CHROMATIC_CHANCE = 0.3;
+
+// Width of the staff in SVG units, so that a single note sits in the middle
+const STAFF_WIDTH = 320;
+
+// Time signature of the sight-reading lines, which are written in quarter notes
+const LINE_TIME_SIGNATURE = [4, 4];
+// Notes per minute at which a faultless line earns three stars
+const FLUENT_PACE = 30;
+// Number of staff positions listed in the session table
+const TROUBLE_SPOTS = 8;
+
+// Letters named in the flash-card mode, in button order; the Polish H is B
+const FLASH_LETTERS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+// Computer keys that answer a flash card
+const FLASH_KEYS = { c: 'C', d: 'D', e: 'E', f: 'F', g: 'G', a: 'A', h: 'B' };
+// Pause in milliseconds between an answer and the next card
+const FLASH_PAUSE = 700;
+// Width of a response-time histogram bar in seconds
+const HISTOGRAM_STEP = 0.5;
+// Share of the time limit within which a faultless series earns three stars
+const FLASH_FLUENT_SHARE = 0.4;
+
+// localStorage key of the staff mode and note range
+const SETTINGS_KEY = 'pianoReadingSettings';
+
+const staffEl = document.getElementById('staff');
 
 // Buttons and status element
 const newNoteBtn = document.getElementById('new-note');
 const playBtn = document.getElementById('play-note');
 const recordBtn = document.getElementById('start-reading-record');
 const statusEl = document.getElementById('reading-status');
+const strictCheckbox = document.getElementById('strict-mode');
+const clefSelect = document.getElementById('clef-mode');
+const rangeSelect = document.getElementById('note-range');
+const keySelect = document.getElementById('key-signature');
+const chromaticCheckbox = document.getElementById('chromatic-notes');
+const modeSelect = document.getElementById('reading-mode');
+const lineLengthSelect = document.getElementById('line-length');
+const lineOptionsEl = document.getElementById('line-options');
+const sessionEl = document.getElementById('line-session');
+const sessionSummaryEl = document.getElementById('line-session-summary');
+const sessionTableEl = document.getElementById('line-session-stats');
+const keyOptionsEl = document.getElementById('key-options');
+const strictOptionsEl = document.getElementById('strict-options');
+const flashOptionsEl = document.getElementById('flash-options');
+const flashRoundsSelect = document.getElementById('flash-rounds');
+const flashTimeSelect = document.getElementById('flash-time');
+const flashEl = document.getElementById('flash-quiz');
+const flashButtonsEl = document.getElementById('flash-buttons');
+const flashCountdownEl = document.getElementById('flash-countdown');
+const flashTimeBar = document.getElementById('flash-time-bar');
+const flashResultsEl = document.getElementById('flash-results');
+const flashSummaryEl = document.getElementById('flash-summary');
+const flashHistogramEl = document.getElementById('flash-histogram');
+const flashConfusionEl = document.getElementById('flash-confusion');
+const keyboardHintEl = document.getElementById('keyboard-hint');
+const keyboardEl = document.getElementById('answer-keyboard');
 
 let currentNote = null;
 let detector = null;
 let recordStartTime = null;
-
-// Settings for staff drawing
-const LINE_SPACING = 14; // distance between staff lines in pixels
-const BASE_Y = 130; // y‑coordinate for the bottom line (E4)
-const STAFF_START_X = 40;
-const STAFF_END_X = canvas.width - 40;
+// True while an attempt is in progress (microphone or keyboard input).
+let answering = false;
+// True once the current note has been played correctly; played notes are
+// ignored until a new note is shown
+let solved = false;
+// Sight-reading line: its notes, the index of the next note to play, the
+// compareNotes() verdict of every played note and when the first note
+// was played
+let line = null;
+// Sight-reading results of this session: notes played, notes correct
+// and, per written note, how often it was played and how often wrong
+const session = { played: 0, correct: 0, positions: new Map() };
+// Flash-card series: its length and time limit in seconds, the answered
+// cards (shown note, answered letter or null after a timeout, response
+// time in seconds), the card on screen (null between cards) and when it
+// was shown
+let flash = null;
+// Countdown interval of the card on screen, or the pause before the next one
+let flashTimer = null;
 
 /**
- * Compute the diatonic distance (in steps) between the given note and E4.
- * Each diatonic step corresponds to a move from a line to a space or
- * vice versa. A distance of 0 represents E4 on the bottom line. A
- * positive distance moves up the staff, and a negative distance moves
- * down below the staff. Accidentals are ignored for positioning.
+ * Key signature chosen in the settings.
  *
- * @param {string} name Note name (e.g. "C4")
- * @returns {number} Diatonic steps relative to E4
+ * @returns {number} Sharps (positive) or flats (negative)
  */
-function diatonicDistanceFromE4(name) {
-  // Parse the note name into pitch class and octave
-  const { pc, octave } = parseNoteName(name);
-  // Use only the letter part (ignore sharps/flats for positioning)
-  const letter = pc.replace(/[#b]/, '');
-  const DIATONIC_ORDER = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
-  const idx = DIATONIC_ORDER.indexOf(letter);
-  const e4Idx = DIATONIC_ORDER.indexOf('E');
-  // Compute the difference in diatonic steps (octave difference * 7 + index diff)
-  const diff = (octave - 4) * 7 + (idx - e4Idx);
-  return diff;
+function currentFifths() {
+  return parseInt(keySelect.value, 10);
 }
 
 /**
- * Draw the staff lines on the canvas.
+ * Clef in which a note is written: the only clef, or on the grand staff
+ * the treble clef from middle C upwards and the bass clef below.
+ *
+ * @param {string} name Spelled note name
+ * @returns {string} Clef name
  */
-function drawStaff() {
-  ctx.clearRect(0, 0, canvas.width, canvas.height);
-  ctx.strokeStyle = '#333';
-  ctx.lineWidth = 1;
-  for (let i = 0; i < 5; i++) {
-    const y = BASE_Y - i * LINE_SPACING;
-    ctx.beginPath();
-    ctx.moveTo(STAFF_START_X, y);
-    ctx.lineTo(STAFF_END_X, y);
-    ctx.stroke();
-  }
+function clefForNote(name) {
+  const clefs = STAFF_MODES[clefSelect.value];
+  if (clefs.length === 1) return clefs[0];
+  return diatonicIndex(name) >= diatonicIndex(GRAND_STAFF_SPLIT) ? 'treble' : 'bass';
 }
 
 /**
- * Draw a note head on the staff. Ledger lines are drawn automatically
- * if the note lies outside the five‑line staff. Only natural notes are
- * expected; accidentals are not rendered differently.
+ * Show a note as a whole note on the staves of the current mode, after
+ * the key signature. An accidental that differs from the key signature
+ * is drawn in front of the head.
  *
  * @param {string} noteName The note to draw (e.g. "A4")
+ * @param {number} [keySignature] Sharps or flats, the chosen key by default
  */
-function drawNote(noteName) {
-  drawStaff();
-  const dist = diatonicDistanceFromE4(noteName);
-  // Compute vertical position: each diatonic step moves half the line spacing
-  const y = BASE_Y - dist * (LINE_SPACING / 2);
-  // Draw ledger lines if necessary
-  // Below the staff (dist < 0): ledger lines for every even negative dist <= -2
-  if (dist < 0) {
-    for (let d = dist; d <= -2; d += 2) {
-      const ly = BASE_Y - d * (LINE_SPACING / 2);
-      ctx.beginPath();
-      ctx.moveTo(STAFF_START_X + 20, ly);
-      ctx.lineTo(STAFF_END_X - 20, ly);
-      ctx.stroke();
+function drawNote(noteName, keySignature = currentFifths()) {
+  renderNotation(staffEl, {
+    clef: clefSelect.value,
+    keySignature,
+    items: [{ keys: [noteName], duration: 'w' }],
+    width: STAFF_WIDTH,
+    label: 'Nuta do odczytania',
+  });
+}
+
+/**
+ * Staff positions that can be asked for, as natural note names: those
+ * within the chosen range that the current clefs can show. If the range
+ * lies outside the clef (e.g. a bass range with the treble clef), every
+ * position of the clef is used instead.
+ *
+ * @returns {string[]} Note names, lowest first
+ */
+function candidateNotes() {
+  const [from, to] = rangeSelect.value.split('-').map(diatonicIndex);
+  const notes = [];
+  STAFF_MODES[clefSelect.value].forEach((clef) => {
+    const { low, high } = CLEF_RANGES[clef];
+    for (let i = diatonicIndex(low); i <= diatonicIndex(high); i++) {
+      const name = `${LETTERS[i % 7]}${Math.floor(i / 7)}`;
+      // On the grand staff each note belongs to one staff only
+      if (clefForNote(name) === clef) notes.push(name);
     }
+  });
+  const inRange = notes.filter((n) => diatonicIndex(n) >= from && diatonicIndex(n) <= to);
+  return (inRange.length ? inRange : notes).sort((a, b) => diatonicIndex(a) - diatonicIndex(b));
+}
+
+/**
+ * True when the sight-reading mode is selected.
+ *
+ * @returns {boolean}
+ */
+function isLineMode() {
+  return modeSelect.value === 'line';
+}
+
+/**
+ * Draw the sight-reading line: played notes green or red, the next one
+ * highlighted.
+ */
+function drawLine() {
+  const items = line.notes.map((name, i) => {
+    let className = '';
+    if (i < line.verdicts.length) className = line.verdicts[i] === 'match' ? 'correct' : 'wrong';
+    else if (i === line.index) className = 'current';
+    return { keys: [name], className };
+  });
+  renderNotation(staffEl, {
+    clef: clefSelect.value,
+    keySignature: currentFifths(),
+    timeSignature: LINE_TIME_SIGNATURE,
+    items,
+    label: 'Linia do czytania a vista',
+  });
+}
+
+/**
+ * Generate a new sight-reading line of the chosen length. Consecutive
+ * notes differ, so that every note is a new attack.
+ */
+function generateLine() {
+  const positions = candidateNotes();
+  const notes = [];
+  const length = parseInt(lineLengthSelect.value, 10);
+  while (notes.length < length) {
+    const next = applyAccidental(positions[Math.floor(Math.random() * positions.length)]);
+    if (positions.length === 1 || next !== notes[notes.length - 1]) notes.push(next);
   }
-  // Above the staff (dist > 8): ledger lines for every even dist >= 10
-  if (dist > 8) {
-    for (let d = 10; d <= dist; d += 2) {
-      const ly = BASE_Y - d * (LINE_SPACING / 2);
-      ctx.beginPath();
-      ctx.moveTo(STAFF_START_X + 20, ly);
-      ctx.lineTo(STAFF_END_X - 20, ly);
-      ctx.stroke();
-    }
+  line = { notes, index: 0, verdicts: [], startTime: null };
+  drawLine();
+}
+
+/**
+ * Judge a note played in the sight-reading mode against the next note of
+ * the line and move on. After the last note the line is summed up.
+ *
+ * @param {number} midi MIDI note number of the played note
+ */
+function handleLineNote(midi) {
+  if (!line || line.index >= line.notes.length) return;
+  if (line.index === 0) {
+    beginAnswer();
+    line.startTime = performance.now();
+  }
+  const expected = line.notes[line.index];
+  line.verdicts.push(compareNotes(midi, noteNameToMidi(expected), strictCheckbox.checked));
+  line.index += 1;
+  drawLine();
+  if (line.index === line.notes.length) {
+    finishAnswer();
+    finishLine();
   }
-  // Draw the note head (filled oval)
-  const x = (STAFF_START_X + STAFF_END_X) / 2;
-  ctx.beginPath();
-  const radiusX = 8;
-  const radiusY = 6;
-  ctx.ellipse(x, y, radiusX, radiusY, 0, 0, 2 * Math.PI);
-  ctx.fillStyle = '#333';
-  ctx.fill();
 }
 
 /**
- * Select a new random note and draw it on the staff. Update the current
- * exercise state and clear any status messages.
+ * Report the result of a finished line: pace, accuracy and the positions
+ * of the wrong notes. Stars are awarded for a line with at most one
+ * mistake in five, three for a faultless line played fluently. The
+ * session tally is updated.
+ */
+function finishLine() {
+  const { notes, verdicts } = line;
+  // Pace from the first to the last note: the first one starts the clock
+  const minutes = (performance.now() - line.startTime) / 60000;
+  const pace = minutes > 0 ? Math.round((notes.length - 1) / minutes) : 0;
+  const errors = verdicts.flatMap((v, i) => (v === 'match' ? [] : [i]));
+  const correct = notes.length - errors.length;
+  const accuracy = Math.round((correct / notes.length) * 100);
+  notes.forEach((name, i) => {
+    const stats = session.positions.get(name) ?? { played: 0, wrong: 0 };
+    stats.played += 1;
+    if (verdicts[i] !== 'match') stats.wrong += 1;
+    session.positions.set(name, stats);
+  });
+  session.played += notes.length;
+  session.correct += correct;
+  let stars = 0;
+  if (errors.length === 0) stars = pace >= FLUENT_PACE ? 3 : 2;
+  else if (accuracy >= 80) stars = 1;
+  let message = `Tempo: ${pace} nut/min, poprawność: ${accuracy}%.`;
+  if (errors.length) {
+    const list = errors.map((i) => `${i + 1}. (${formatNoteName(notes[i])})`).join(', ');
+    message += ` Pomyłki na pozycjach: ${list}.`;
+  }
+  if (stars) {
+    message += ` ${'★'.repeat(stars)}`;
+    addStars(stars);
+  }
+  statusEl.textContent = message;
+  statusEl.className = `status ${errors.length ? 'result-failure' : 'result-success'}`;
+  renderSession();
+}
+
+/**
+ * Show the session totals and the written notes most often played
+ * wrong, worst first.
+ */
+function renderSession() {
+  sessionSummaryEl.textContent = session.played
+    ? `Sesja: ${session.correct}/${session.played} nut poprawnie ` +
+      `(${Math.round((session.correct / session.played) * 100)}%)`
+    : '';
+  sessionTableEl.innerHTML = '';
+  [...session.positions]
+    .filter(([, stats]) => stats.wrong > 0)
+    .sort(([, a], [, b]) => b.wrong / b.played - a.wrong / a.played || b.wrong - a.wrong)
+    .slice(0, TROUBLE_SPOTS)
+    .forEach(([name, { played, wrong }]) => {
+      const row = sessionTableEl.insertRow();
+      row.insertCell().textContent = formatNoteName(name);
+      row.insertCell().textContent = `${wrong}/${played} błędnie`;
+      row.insertCell().textContent = `${Math.round((wrong / played) * 100)}%`;
+    });
+}
+
+/**
+ * True when the flash-card mode is selected.
+ *
+ * @returns {boolean}
+ */
+function isFlashMode() {
+  return modeSelect.value === 'flash';
+}
+
+/**
+ * Create one answer button per letter, labelled with its Polish name.
+ */
+function renderFlashButtons() {
+  FLASH_LETTERS.forEach((letter) => {
+    const btn = document.createElement('button');
+    btn.className = 'btn';
+    btn.dataset.letter = letter;
+    btn.textContent = polishNoteName(letter);
+    btn.addEventListener('click', () => answerFlash(letter));
+    flashButtonsEl.appendChild(btn);
+  });
+}
+
+/**
+ * Stop the countdown or the pause of the flash-card series, if any.
+ */
+function stopFlashTimer() {
+  clearInterval(flashTimer);
+  clearTimeout(flashTimer);
+  flashTimer = null;
+}
+
+/**
+ * Leave the flash-card mode idle: no series running and an empty staff
+ * waiting for "Start serii".
+ */
+function resetFlash() {
+  stopFlashTimer();
+  flash = null;
+  renderNotation(staffEl, { clef: clefSelect.value, width: STAFF_WIDTH, label: 'Pięciolinia' });
+  flashCountdownEl.textContent = 'Kliknij „Start serii”, aby zacząć.';
+  flashTimeBar.style.width = '0';
+}
+
+/**
+ * Start a new flash-card series with the chosen number of cards and time
+ * limit.
+ */
+function startFlash() {
+  resetFlash();
+  statusEl.textContent = '';
+  statusEl.className = 'status';
+  flashResultsEl.classList.add('hidden');
+  flash = {
+    rounds: parseInt(flashRoundsSelect.value, 10),
+    limit: parseInt(flashTimeSelect.value, 10),
+    cards: [],
+    card: null,
+    shownAt: 0,
+  };
+  nextFlashCard();
+}
+
+/**
+ * Show the next card, a natural note other than the previous one, and
+ * start its countdown.
+ */
+function nextFlashCard() {
+  const positions = candidateNotes();
+  const previous = flash.cards[flash.cards.length - 1]?.note;
+  let next;
+  do {
+    next = positions[Math.floor(Math.random() * positions.length)];
+  } while (positions.length > 1 && next === previous);
+  flash.card = next;
+  flash.shownAt = performance.now();
+  drawNote(next, 0);
+  statusEl.textContent = '';
+  statusEl.className = 'status';
+  flashButtonsEl.querySelectorAll('button').forEach((b) => b.classList.remove('selected'));
+  updateCountdown();
+  flashTimer = setInterval(updateCountdown, 100);
+}
+
+/**
+ * Show the time left for the card on screen; when it runs out the card
+ * counts as unanswered.
+ */
+function updateCountdown() {
+  const left = Math.max(0, flash.limit - (performance.now() - flash.shownAt) / 1000);
+  const number = flash.cards.length + 1;
+  flashCountdownEl.textContent =
+    `Karta ${number}/${flash.rounds} – zostało ${left.toFixed(1).replace('.', ',')} s`;
+  flashTimeBar.style.width = `${(left / flash.limit) * 100}%`;
+  if (left === 0) answerFlash(null);
+}
+
+/**
+ * Record the answer to the card on screen and, after a short pause
+ * showing the feedback, move on to the next card or sum up the series.
+ *
+ * @param {string|null} letter Answered letter, null when time ran out
+ */
+function answerFlash(letter) {
+  if (!flash || !flash.card) return;
+  stopFlashTimer();
+  const note = flash.card;
+  const time = Math.min(flash.limit, (performance.now() - flash.shownAt) / 1000);
+  flash.cards.push({ note, answer: letter, time });
+  flash.card = null;
+  const shown = parseSpelledNote(note).letter;
+  const name = `${polishNoteName(shown)}${parseSpelledNote(note).octave}`;
+  flashButtonsEl.querySelectorAll('button').forEach((b) => {
+    b.classList.toggle('selected', b.dataset.letter === letter);
+  });
+  if (letter === shown) {
+    statusEl.textContent = `Dobrze – to ${name}.`;
+    statusEl.className = 'status result-success';
+  } else {
+    statusEl.textContent = letter
+      ? `Niestety, to było ${name}, nie ${polishNoteName(letter)}.`
+      : `Czas minął – to było ${name}.`;
+    statusEl.className = 'status result-failure';
+  }
+  flashTimer = setTimeout(() => {
+    flashTimer = null;
+    if (flash.cards.length < flash.rounds) nextFlashCard();
+    else finishFlash();
+  }, FLASH_PAUSE);
+}
+
+/**
+ * Sum up a finished series: accuracy and mean response time of the
+ * correct answers, the response-time histogram and the confusion matrix.
+ * Stars are awarded for a series with at most one mistake in five,
+ * three for a faultless series answered well within the time limit.
+ */
+function finishFlash() {
+  const { cards, limit } = flash;
+  const correct = cards.filter((c) => c.answer === parseSpelledNote(c.note).letter);
+  const accuracy = Math.round((correct.length / cards.length) * 100);
+  const mean = correct.length ? correct.reduce((sum, c) => sum + c.time, 0) / correct.length : 0;
+  let stars = 0;
+  if (correct.length === cards.length) stars = mean <= limit * FLASH_FLUENT_SHARE ? 3 : 2;
+  else if (accuracy >= 80) stars = 1;
+  let message = `Seria zakończona: ${correct.length}/${cards.length} poprawnie (${accuracy}%)`;
+  if (correct.length) message += `, średni czas ${mean.toFixed(2).replace('.', ',')} s`;
+  message += '.';
+  if (stars) {
+    message += ` ${'★'.repeat(stars)}`;
+    addStars(stars);
+  }
+  flashSummaryEl.textContent = message;
+  flashCountdownEl.textContent = 'Kliknij „Nowa seria”, aby zagrać ponownie.';
+  flashTimeBar.style.width = '0';
+  renderHistogram(cards, limit);
+  renderConfusion(cards);
+  flashResultsEl.classList.remove('hidden');
+  flash = null;
+}
+
+/**
+ * Draw the response times of a series as horizontal bars, one per
+ * HISTOGRAM_STEP seconds up to the time limit, plus a row for the cards
+ * left unanswered.
+ *
+ * @param {{answer: string|null, time: number}[]} cards Answered cards
+ * @param {number} limit Time limit in seconds
+ */
+function renderHistogram(cards, limit) {
+  const steps = Math.ceil(limit / HISTOGRAM_STEP);
+  const counts = new Array(steps).fill(0);
+  cards
+    .filter((c) => c.answer)
+    .forEach((c) => {
+      counts[Math.min(steps - 1, Math.floor(c.time / HISTOGRAM_STEP))] += 1;
+    });
+  const format = (seconds) => seconds.toFixed(1).replace('.', ',');
+  const rows = counts.map((count, i) => [
+    `${format(i * HISTOGRAM_STEP)}–${format(Math.min(limit, (i + 1) * HISTOGRAM_STEP))} s`,
+    count,
+  ]);
+  rows.push(['brak odpowiedzi', cards.filter((c) => !c.answer).length]);
+  const most = Math.max(1, ...rows.map(([, count]) => count));
+  flashHistogramEl.innerHTML = '';
+  rows.forEach(([label, count]) => {
+    const row = flashHistogramEl.insertRow();
+    row.insertCell().textContent = label;
+    const meter = document.createElement('div');
+    meter.className = 'level-meter';
+    const bar = document.createElement('div');
+    bar.className = 'level-bar';
+    bar.style.width = `${(count / most) * 100}%`;
+    meter.appendChild(bar);
+    row.insertCell().appendChild(meter);
+    row.insertCell().textContent = String(count);
+  });
+}
+
+/**
+ * Tabulate shown letters (rows) against answered letters (columns) of a
+ * series, with a last column for timeouts. Only letters that were shown
+ * get a row; correct answers lie on the diagonal.
+ *
+ * @param {{note: string, answer: string|null}[]} cards Answered cards
+ */
+function renderConfusion(cards) {
+  flashConfusionEl.innerHTML = '';
+  const header = flashConfusionEl.createTHead().insertRow();
+  ['Nuta / odpowiedź', ...FLASH_LETTERS.map(polishNoteName), '–'].forEach((text) => {
+    const th = document.createElement('th');
+    th.textContent = text;
+    header.appendChild(th);
+  });
+  const body = flashConfusionEl.createTBody();
+  FLASH_LETTERS.forEach((shown) => {
+    const answers = cards
+      .filter((c) => parseSpelledNote(c.note).letter === shown)
+      .map((c) => c.answer);
+    if (!answers.length) return;
+    const row = body.insertRow();
+    row.insertCell().textContent = polishNoteName(shown);
+    [...FLASH_LETTERS, null].forEach((answer) => {
+      const count = answers.filter((a) => a === answer).length;
+      const cell = row.insertCell();
+      cell.textContent = count ? String(count) : '·';
+      if (count) cell.className = answer === shown ? 'confusion-hit' : 'confusion-miss';
+    });
+  });
+}
+
+/**
+ * Switch between single notes, sight-reading lines and flash cards and
+ * start afresh. The flash cards are answered by name, so the piano and
+ * the letter keys that play it are put aside.
+ */
+function updateMode() {
+  const lineMode = isLineMode();
+  const flashMode = isFlashMode();
+  lineOptionsEl.classList.toggle('hidden', !lineMode);
+  sessionEl.classList.toggle('hidden', !lineMode);
+  flashOptionsEl.classList.toggle('hidden', !flashMode);
+  flashEl.classList.toggle('hidden', !flashMode);
+  flashResultsEl.classList.add('hidden');
+  [playBtn, recordBtn, keyOptionsEl, strictOptionsEl, keyboardHintEl, keyboardEl].forEach((el) =>
+    el.classList.toggle('hidden', flashMode),
+  );
+  keyboard.setComputerKeys(!flashMode);
+  if (flashMode) newNoteBtn.textContent = 'Start serii';
+  else newNoteBtn.textContent = lineMode ? 'Nowa linia' : 'Nowa nuta';
+  playBtn.textContent = lineMode ? 'Odtwórz linię' : 'Odtwórz nutę';
+  generateNewNote();
+}
+
+/**
+ * Stretch the on-screen keyboard over whole octaves covering every note
+ * that can be asked for.
+ */
+function fitKeyboardToRange() {
+  const notes = candidateNotes();
+  // An accidental moves a position by at most a semitone either way
+  const low = noteNameToMidi(notes[0]) - 1;
+  const high = noteNameToMidi(notes[notes.length - 1]) + 1;
+  keyboard.setRange(`C${Math.floor(low / 12) - 1}-C${Math.ceil(high / 12) - 1}`);
+}
+
+/**
+ * Fill the key signature select with the major keys from seven flats to
+ * seven sharps, each labelled with its relative minor as well.
+ */
+function renderKeyOptions() {
+  MAJOR_KEYS.forEach((tonic, i) => {
+    const fifths = i - 7;
+    const minor = Key.majorKey(tonic).minorRelative;
+    const signs = fifths === 0 ? 'bez znaków' : `${Math.abs(fifths)}${fifths > 0 ? '♯' : '♭'}`;
+    const option = document.createElement('option');
+    option.value = String(fifths);
+    option.textContent =
+      `${polishNoteName(tonic)}-dur / ${polishNoteName(minor).toLowerCase()}-moll (${signs})`;
+    keySelect.appendChild(option);
+  });
+  keySelect.value = '0';
+}
+
+/**
+ * Save the staff mode and note range in localStorage.
+ */
+function saveSettings() {
+  try {
+    localStorage.setItem(
+      SETTINGS_KEY,
+      JSON.stringify({
+        clef: clefSelect.value,
+        range: rangeSelect.value,
+        key: keySelect.value,
+        chromatic: chromaticCheckbox.checked,
+        mode: modeSelect.value,
+        lineLength: lineLengthSelect.value,
+        flashRounds: flashRoundsSelect.value,
+        flashTime: flashTimeSelect.value,
+      }),
+    );
+  } catch (e) {
+    // localStorage might be unavailable; ignore errors
+  }
+}
+
+/**
+ * Restore the staff mode and note range saved in localStorage.
+ */
+function loadSettings() {
+  let saved = null;
+  try {
+    saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+  } catch (e) {
+    // localStorage might be unavailable or hold invalid data
+  }
+  if (!saved) return;
+  [
+    [clefSelect, saved.clef],
+    [rangeSelect, saved.range],
+    [keySelect, saved.key],
+    [modeSelect, saved.mode],
+    [lineLengthSelect, saved.lineLength],
+    [flashRoundsSelect, saved.flashRounds],
+    [flashTimeSelect, saved.flashTime],
+  ].forEach(([select, value]) => {
+    if ([...select.options].some((o) => o.value === value)) select.value = value;
+  });
+  chromaticCheckbox.checked = Boolean(saved.chromatic);
+}
+
+/**
+ * Select a new random note (or, in the sight-reading mode, a new line)
+ * and draw it on the staff. Update the current exercise state and clear
+ * any status messages. A running flash-card series is abandoned; in the
+ * flash-card mode the next one waits for "Start serii".
  */
 function generateNewNote() {
-  currentNote = NATURAL_NOTES[Math.floor(Math.random() * NATURAL_NOTES.length)];
-  drawNote(currentNote);
   statusEl.textContent = '';
   statusEl.className = 'status';
   // Stop any ongoing detection
-  if (detector) {
-    detector.stop();
-    detector = null;
+  finishAnswer();
+  if (isFlashMode()) {
+    resetFlash();
+    return;
+  }
+  // Leaving the flash cards abandons a running series and its countdown
+  stopFlashTimer();
+  flash = null;
+  if (isLineMode()) {
+    generateLine();
+    return;
+  }
+  const notes = candidateNotes();
+  let next;
+  do {
+    next = applyAccidental(notes[Math.floor(Math.random() * notes.length)]);
+  } while (notes.length > 1 && next === currentNote);
+  currentNote = next;
+  drawNote(currentNote);
+  // The answer is timed from the moment the note is shown
+  recordStartTime = performance.now();
+  solved = false;
+}
+
+/**
+ * Give a staff position its pitch: the accidental of the key signature
+ * or, for chromatic notes, a sharp or flat on a letter the key leaves
+ * natural and a natural on a letter it alters.
+ *
+ * @param {string} position Natural note name (e.g. "F4")
+ * @returns {string} Spelled note name (e.g. "F#4" in G major)
+ */
+function applyAccidental(position) {
+  const { letter, octave } = parseSpelledNote(position);
+  let accidental = keyAccidental(letter, currentFifths());
+  if (chromaticCheckbox.checked && Math.random() < CHROMATIC_CHANCE) {
+    accidental = accidental !== 0 ? 0 : Math.random() < 0.5 ? 1 : -1;
   }
+  return spelledNoteName({ letter, accidental, octave });
 }
 
 /**
- * Play the current note through the audio context.
+ * Play the current note, or the whole sight-reading line, through the
+ * audio context.
  */
 function playCurrentNote() {
+  if (isLineMode()) {
+    if (line) playMelody(line.notes);
+    return;
+  }
   if (!currentNote) return;
   playSingleNote(currentNote, 0.8, 0.35);
 }
 
 /**
- * Start microphone listening to capture a single note from the user. Once a
- * pitch class is detected, compare it to the current note's pitch class and
- * display feedback. The exercise expects only natural pitch classes.
+ * Start a new attempt.
  */
-async function startRecording() {
-  if (!currentNote) return;
-  // Stop previous detector if any
+function beginAnswer() {
+  statusEl.textContent = '';
+  statusEl.className = 'status';
+  answering = true;
+}
+
+/**
+ * End the current attempt and release the microphone if it is in use.
+ */
+function finishAnswer() {
+  answering = false;
   if (detector) {
     detector.stop();
     detector = null;
   }
+}
+
+/**
+ * Handle a note played by the user, whether it was detected by the
+ * microphone or pressed on the on-screen keyboard. The played pitch
+ * class is compared with the exact pitch of the current note, including
+ * its accidental, and feedback is shown. In strict mode the MIDI
+ * numbers are compared, and a note in the wrong octave gets its own
+ * feedback. Stars depend on the time since the note was shown and are
+ * awarded once: after a correct answer played notes are ignored until a
+ * new note is shown.
+ *
+ * @param {number} midi MIDI note number of the played note
+ */
+function handleNote(midi) {
+  // Flash cards are answered by name, not by playing
+  if (isFlashMode()) return;
+  if (isLineMode()) {
+    handleLineNote(midi);
+    return;
+  }
+  if (!currentNote || solved) return;
+  if (!answering) beginAnswer();
+  const strict = strictCheckbox.checked;
+  const verdict = compareNotes(midi, noteNameToMidi(currentNote), strict);
+  if (verdict === 'match') {
+    // Compute elapsed time and award stars
+    const elapsed = recordStartTime ? (performance.now() - recordStartTime) / 1000 : null;
+    let stars = 1;
+    if (elapsed !== null) {
+      if (elapsed <= 3) stars = 3;
+      else if (elapsed <= 6) stars = 2;
+    }
+    statusEl.innerHTML = `Brawo! Poprawna nuta. ${'★'.repeat(stars)}`;
+    statusEl.className = 'status result-success';
+    // Award stars only when correct
+    addStars(stars);
+    solved = true;
+  } else if (verdict === 'octave') {
+    statusEl.textContent = `Dobra nuta, ale zła oktawa: zagrałeś ${formatNoteName(spellMidi(midi, currentFifths(), [currentNote]))}, a zapisano ${formatNoteName(currentNote)}.`;
+    statusEl.className = 'status result-failure';
+  } else {
+    const spelled = spellMidi(midi, currentFifths(), [currentNote]);
+    const played = formatNoteName(strict ? spelled : spelled.replace(/-?\d+$/, ''));
+    statusEl.textContent = `To był dźwięk ${played}. Spróbuj ponownie.`;
+    statusEl.className = 'status result-failure';
+  }
+  finishAnswer();
+}
+
+/**
+ * Start microphone listening to capture a single note from the user.
+ * The first detected note is passed to handleNote(). In the
+ * sight-reading mode the line starts again from its first note and the
+ * microphone keeps listening until the line is finished.
+ */
+async function startRecording() {
+  if (isLineMode() ? !line : !currentNote || solved) return;
+  // Stop previous detector if any
+  finishAnswer();
+  beginAnswer();
+  if (isLineMode()) {
+    line = { ...line, index: 0, verdicts: [], startTime: null };
+    drawLine();
+  }
   statusEl.textContent = 'Nasłuchiwanie...';
-  statusEl.className = 'status';
   detector = new NoteDetector({
-    onFrequency: (freq) => {
-      const pc = freqToPitchClass(freq);
-      if (!pc) return;
-      // Only consider natural pitch classes for this exercise
-      const naturalPc = pc.replace(/#/, '');
-      const expectedPc = parseNoteName(currentNote).pc.replace(/#/, '');
-      if (naturalPc === expectedPc) {
-        // Compute elapsed time and award stars
-        const elapsed = recordStartTime ? (performance.now() - recordStartTime) / 1000 : null;
-        let stars = 1;
-        if (elapsed !== null) {
-          if (elapsed <= 3) stars = 3;
-          else if (elapsed <= 6) stars = 2;
-        }
-        statusEl.innerHTML = `Brawo! Poprawna nuta. ${'★'.repeat(stars)}`;
-        statusEl.className = 'status result-success';
-        // Award stars only when correct
-        addStars(stars);
-      } else {
-        statusEl.textContent = `To był dźwięk ${naturalPc}. Spróbuj ponownie.`;
-        statusEl.className = 'status result-failure';
-      }
-      detector.stop();
-      detector = null;
-    },
-    clarityThreshold: 0.85,
+    onNoteStart: (midi) => handleNote(midi),
   });
-  recordStartTime = performance.now();
   await detector.start();
 }
 
 // Event listeners
-newNoteBtn.addEventListener('click', generateNewNote);
+newNoteBtn.addEventListener('click', () => (isFlashMode() ? startFlash() : generateNewNote()));
 playBtn.addEventListener('click', playCurrentNote);
 recordBtn.addEventListener('click', startRecording);
 
+// On-screen keyboard as an alternative to the microphone
+const keyboard = new PianoKeyboard({
+  container: document.getElementById('answer-keyboard'),
+  range: 'C3-C6',
+  onNoteOn: (note) => handleNote(noteNameToMidi(note)),
+});
+
+// MIDI keyboard as a third answer source; its keys are mirrored on screen
+connectMidiInputSelect(document.getElementById('midi-input-select'), {
+  onNoteOn: (midi) => {
+    keyboard.setHighlight(midiToNoteName(midi), true);
+    handleNote(midi);
+  },
+  onNoteOff: (midi) => keyboard.setHighlight(midiToNoteName(midi), false),
+});
+
+persistCheckbox(strictCheckbox, 'pianoStrictReading');
+
+[
+  clefSelect,
+  rangeSelect,
+  keySelect,
+  chromaticCheckbox,
+  lineLengthSelect,
+  flashRoundsSelect,
+  flashTimeSelect,
+].forEach((control) =>
+  control.addEventListener('change', () => {
+    saveSettings();
+    fitKeyboardToRange();
+    generateNewNote();
+  }),
+);
+
+modeSelect.addEventListener('change', () => {
+  saveSettings();
+  updateMode();
+});
+
+// Letter keys answer flash cards; Polish H stands for B
+window.addEventListener('keydown', (e) => {
+  if (!isFlashMode() || e.repeat || e.ctrlKey || e.metaKey || e.altKey) return;
+  if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+  const letter = FLASH_KEYS[e.key.toLowerCase()];
+  if (!letter) return;
+  e.preventDefault();
+  answerFlash(letter);
+});
+
 // Initial drawing when the page loads
-generateNewNote();
\ No newline at end of file
+renderKeyOptions();
+renderFlashButtons();
+loadSettings();
+fitKeyboardToRange();
+updateMode();
\ No newline at end of file
@@ -1,4 +1,5 @@
 import { playSingleNote, addStars } from './common.js';
+import { renderNotation, beatsToDuration } from './notation.js';
 
 /*
  * Rhythm training exercise. A random rhythm pattern is selected and
@@ -7,6 +8,7 @@ import { playSingleNote, addStars } from './common.js';
  * tolerance is applied to determine success.
  */
 
+// Durations are in beats, one beat (a quarter note) lasting a second
 const patterns = [
   { durations: [1, 0.5, 0.5, 1], name: 'Rytm 1' },
   { durations: [0.5, 0.5, 1, 0.5, 1.5], name: 'Rytm 2' },
@@ -24,17 +26,19 @@ let currentPattern = null;
 let userTaps = [];
 let listening = false;
 
+/**
+ * Write a rhythm on a one-line staff, in a measure of as many quarter
+ * notes as the pattern lasts.
+ *
+ * @param {number[]} durations Note lengths in beats
+ */
 function renderPattern(durations) {
-  displayEl.innerHTML = '';
-  durations.forEach((dur, idx) => {
-    const span = document.createElement('span');
-    // Represent duration by width proportional to length
-    span.style.display = 'inline-block';
-    span.style.width = `${dur * 40}px`;
-    span.style.height = '10px';
-    span.style.marginRight = '4px';
-    span.style.backgroundColor = 'var(--primary)';
-    displayEl.appendChild(span);
+  const beats = durations.reduce((a, b) => a + b, 0);
+  renderNotation(displayEl, {
+    clef: 'percussion',
+    timeSignature: Number.isInteger(beats) ? [beats, 4] : null,
+    items: durations.map((dur) => ({ keys: ['B4'], ...beatsToDuration(dur) })),
+    label: currentPattern.name,
   });
 }
 
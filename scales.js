@@ -0,0 +1,279 @@
+import { NoteDetector } from './noteDetector.js';
+import { PianoKeyboard } from './keyboard.js';
+import { connectMidiInputSelect } from './midi.js';
+import { buildScale, scaleRoot, polishNoteName, Note, SCALE_TYPES } from './theory.js';
+import { compareSequences, sequenceStars } from './sequence.js';
+import {
+  playMelody,
+  noteNameToMidi,
+  midiToNoteName,
+  spellMidi,
+  formatNoteName,
+  keySignatureFifths,
+  compareNotes,
+  persistCheckbox,
+  addStars,
+} from './common.js';
+
+/*
+ * Scale and mode practice. A scale (major, the three forms of minor,
+ * the church modes, pentatonics or blues) is built on a chosen or
+ * random tonic by the theory layer and played. The learner then plays
+ * it in order, up one octave and back down, and the notes are matched
+ * against the expected sequence with the shared sequence matching also
+ * used by the memory exercise. In strict mode the notes must be played
+ * in the written octave.
+ */
+
+// Octave of the tonic: roots up to F♯ start in octave 4, higher ones in
+// octave 3, so the scale stays in the middle of the keyboard.
+const HIGH_ROOT_CHROMA = 6;
+
+let currentScale = null;
+// Expected notes in playing order: up and back down, the top note once
+let expectedNotes = [];
+// MIDI numbers of the notes played so far
+let userMidis = [];
+let detector = null;
+let recordStartTime = null;
+// True while an attempt is in progress (microphone or keyboard input).
+let answering = false;
+// True once the current scale has been played correctly; played notes
+// are ignored until a new scale is shown
+let solved = false;
+
+// DOM references
+const scaleNameEl = document.getElementById('scale-name');
+const expectedListEl = document.getElementById('scale-notes');
+const userListEl = document.getElementById('user-notes');
+const statusEl = document.getElementById('status');
+const scaleInfoEl = document.getElementById('scale-info');
+const typeSelect = document.getElementById('scale-type');
+const rootSelect = document.getElementById('scale-root');
+
+// Buttons
+const nextBtn = document.getElementById('next-scale');
+const playBtn = document.getElementById('play-scale');
+const recordBtn = document.getElementById('start-record');
+const strictCheckbox = document.getElementById('strict-mode');
+
+/**
+ * Append an option to a select.
+ *
+ * @param {HTMLSelectElement} select Select element
+ * @param {string} value Option value
+ * @param {string} label Option text
+ */
+function addOption(select, value, label) {
+  const option = document.createElement('option');
+  option.value = value;
+  option.textContent = label;
+  select.appendChild(option);
+}
+
+/**
+ * Fill the scale type and tonic selects. Black keys are offered under
+ * both names (e.g. "Cis/Des"); the spelling used is the one with fewer
+ * accidentals for the chosen scale.
+ */
+function renderOptions() {
+  Object.entries(SCALE_TYPES).forEach(([type, { name }]) => addOption(typeSelect, type, name));
+  for (let chroma = 0; chroma < 12; chroma++) {
+    const names = [Note.fromMidiSharps(60 + chroma), Note.fromMidi(60 + chroma)].map(polishNoteName);
+    addOption(rootSelect, String(chroma), [...new Set(names)].join('/'));
+  }
+}
+
+/**
+ * Spell a played note in the current scale's key for display, with the
+ * octave only in strict mode.
+ *
+ * @param {number} midi MIDI note number
+ * @returns {string} Display name, e.g. "F♯" or "F♯4"
+ */
+function displayName(midi) {
+  const fifths = keySignatureFifths(...currentScale.key);
+  const name = spellMidi(midi, fifths, expectedNotes);
+  return formatNoteName(strictCheckbox.checked ? name : name.replace(/-?\d+$/, ''));
+}
+
+/**
+ * Show the expected notes, with octaves in strict mode.
+ */
+function renderExpectedNotes() {
+  expectedListEl.innerHTML = '';
+  expectedNotes.forEach((name) => {
+    const span = document.createElement('span');
+    span.textContent = displayName(noteNameToMidi(name));
+    expectedListEl.appendChild(span);
+  });
+}
+
+/**
+ * Pick a random element of an array.
+ *
+ * @param {Array} items Array to pick from
+ * @returns {*} Random element
+ */
+function randomItem(items) {
+  return items[Math.floor(Math.random() * items.length)];
+}
+
+/**
+ * Build a new scale from the selected (or random) type and tonic and
+ * update the view.
+ */
+function pickScale() {
+  const type =
+    typeSelect.value === 'random' ? randomItem(Object.keys(SCALE_TYPES)) : typeSelect.value;
+  const chroma =
+    rootSelect.value === 'random' ? Math.floor(Math.random() * 12) : Number(rootSelect.value);
+  const octave = chroma > HIGH_ROOT_CHROMA ? 3 : 4;
+  currentScale = buildScale(`${scaleRoot(chroma, type)}${octave}`, type);
+  expectedNotes = currentScale.notes.concat(currentScale.descending.slice(1));
+  scaleNameEl.textContent = `Skala ${currentScale.name}`;
+  renderExpectedNotes();
+  scaleInfoEl.classList.remove('hidden');
+  finishAnswer();
+  // The answer is timed from the moment the scale is shown
+  recordStartTime = performance.now();
+  solved = false;
+  userMidis = [];
+  userListEl.innerHTML = '';
+  statusEl.textContent = '';
+  statusEl.className = 'status';
+}
+
+/**
+ * Reset the user's notes and start a new attempt.
+ */
+function beginAnswer() {
+  userMidis = [];
+  userListEl.innerHTML = '';
+  statusEl.textContent = '';
+  statusEl.className = 'status';
+  expectedListEl.querySelectorAll('span').forEach((s) => {
+    s.classList.remove('correct-note', 'wrong-note');
+  });
+  answering = true;
+}
+
+/**
+ * End the current attempt and release the microphone if it is in use.
+ */
+function finishAnswer() {
+  answering = false;
+  if (detector) {
+    detector.stop();
+    detector = null;
+  }
+}
+
+/**
+ * Judge the complete attempt with the shared sequence matching and
+ * report the positions of wrong notes, if any.
+ */
+function evaluateScale() {
+  const expectedMidis = expectedNotes.map(noteNameToMidi);
+  const { result, errors } = compareSequences(userMidis, expectedMidis, strictCheckbox.checked);
+  if (result === 'match') {
+    const elapsed = recordStartTime ? (performance.now() - recordStartTime) / 1000 : null;
+    const stars = sequenceStars(elapsed, expectedNotes.length);
+    statusEl.innerHTML = `Brawo! Zagrałeś skalę poprawnie w górę i w dół. ${'★'.repeat(stars)}`;
+    statusEl.className = 'status result-success';
+    addStars(stars);
+    solved = true;
+  } else if (result === 'octave') {
+    statusEl.textContent = `Dobre dźwięki, ale zła oktawa. Zacznij od ${formatNoteName(expectedNotes[0])}.`;
+    statusEl.className = 'status result-failure';
+  } else {
+    const positions = errors.map((i) => {
+      const expected = formatNoteName(expectedNotes[i].replace(/-?\d+$/, ''));
+      return `${i + 1}. (${expected})`;
+    });
+    statusEl.textContent = `Pomyłki na pozycjach: ${positions.join(', ')}. Spróbuj ponownie.`;
+    statusEl.className = 'status result-failure';
+  }
+}
+
+/**
+ * Handle a note played by the user, whether it was detected by the
+ * microphone, pressed on the on-screen keyboard or received over MIDI.
+ * Each note is marked against the note expected at its position; when
+ * as many notes as the scale has have been played, the attempt is
+ * evaluated. A keyboard press outside an attempt starts a new one; once
+ * the scale has been solved further notes are ignored.
+ *
+ * @param {number} midi MIDI note number of the played note
+ */
+function handleNote(midi) {
+  if (!currentScale || solved) return;
+  if (!answering) beginAnswer();
+  const index = userMidis.length;
+  userMidis.push(midi);
+  const verdict = compareNotes(midi, noteNameToMidi(expectedNotes[index]), strictCheckbox.checked);
+  const span = document.createElement('span');
+  span.textContent = displayName(midi);
+  userListEl.appendChild(span);
+  expectedListEl.children[index].classList.add(verdict === 'match' ? 'correct-note' : 'wrong-note');
+  if (userMidis.length === expectedNotes.length) {
+    finishAnswer();
+    evaluateScale();
+  }
+}
+
+/**
+ * Start listening for the scale from the microphone. Each detected note
+ * onset is passed to handleNote().
+ */
+async function startRecording() {
+  if (solved) return;
+  finishAnswer();
+  beginAnswer();
+  statusEl.textContent = 'Nasłuchiwanie...';
+  detector = new NoteDetector({
+    onNoteStart: (midi) => handleNote(midi),
+  });
+  await detector.start();
+}
+
+// Event listeners
+nextBtn.addEventListener('click', () => {
+  pickScale();
+  playMelody(expectedNotes);
+});
+playBtn.addEventListener('click', () => {
+  if (currentScale) playMelody(expectedNotes);
+});
+recordBtn.addEventListener('click', startRecording);
+typeSelect.addEventListener('change', pickScale);
+rootSelect.addEventListener('change', pickScale);
+
+// On-screen keyboard as an alternative to the microphone
+const keyboard = new PianoKeyboard({
+  container: document.getElementById('answer-keyboard'),
+  range: 'C3-C6',
+  onNoteOn: (note) => handleNote(noteNameToMidi(note)),
+});
+
+// MIDI keyboard as a third answer source; its keys are mirrored on screen
+connectMidiInputSelect(document.getElementById('midi-input-select'), {
+  onNoteOn: (midi) => {
+    keyboard.setHighlight(midiToNoteName(midi), true);
+    handleNote(midi);
+  },
+  onNoteOff: (midi) => keyboard.setHighlight(midiToNoteName(midi), false),
+});
+
+persistCheckbox(strictCheckbox, 'pianoStrictScales');
+strictCheckbox.addEventListener('change', () => {
+  finishAnswer();
+  renderExpectedNotes();
+  userMidis = [];
+  userListEl.innerHTML = '';
+  statusEl.textContent = '';
+  statusEl.className = 'status';
+});
+
+renderOptions();
+pickScale();
\ No newline at end of file
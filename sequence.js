@@ -0,0 +1,51 @@
+import { compareNotes } from './common.js';
+
+/*
+ * Matching of played note sequences against expected ones, shared by
+ * the exercises in which notes have to be played in a given order (the
+ * memory sequences and the scales). Notes are MIDI numbers; whether the
+ * octave matters is decided by the strict flag, as in compareNotes().
+ */
+
+/**
+ * Compare a played sequence with the expected one note by note.
+ *
+ * The overall result is 'match' when every note matches, 'octave' when
+ * all notes have the right pitch class but some are in another octave
+ * (strict mode only), 'wrong' when any note differs and 'length' when
+ * the number of notes is different.
+ *
+ * @param {number[]} played MIDI numbers of the played notes
+ * @param {number[]} expected MIDI numbers of the expected notes
+ * @param {boolean} [strict=false] Whether the octave must match
+ * @returns {{result: 'match'|'octave'|'wrong'|'length', verdicts: string[], errors: number[]}}
+ *   Overall result, the compareNotes() verdict of every position and the
+ *   positions (0-based) of the notes that do not match
+ */
+export function compareSequences(played, expected, strict = false) {
+  if (played.length !== expected.length) {
+    return { result: 'length', verdicts: [], errors: [] };
+  }
+  const verdicts = expected.map((midi, i) => compareNotes(played[i], midi, strict));
+  const errors = verdicts.flatMap((v, i) => (v === 'match' ? [] : [i]));
+  let result = 'match';
+  if (verdicts.includes('wrong')) result = 'wrong';
+  else if (verdicts.includes('octave')) result = 'octave';
+  return { result, verdicts, errors };
+}
+
+/**
+ * Stars for a correctly played sequence: three when it took at most two
+ * seconds per note, two for up to four seconds per note, otherwise one.
+ *
+ * @param {number|null} elapsed Seconds from the start of the attempt, or
+ *   null if unknown
+ * @param {number} length Number of notes in the sequence
+ * @returns {number} 1–3 stars
+ */
+export function sequenceStars(elapsed, length) {
+  if (elapsed === null) return 1;
+  if (elapsed <= length * 2) return 3;
+  if (elapsed <= length * 4) return 2;
+  return 1;
+}
\ No newline at end of file
@@ -0,0 +1,286 @@
+import { Note, Interval, Chord, Scale, Key, RomanNumeral } from './lib/tonal.js';
+
+/*
+ * Music theory layer of the app. The heavy lifting is done by the
+ * vendored tonal library (lib/tonal.js), whose Note, Interval, Chord,
+ * Scale, Key and RomanNumeral APIs are re-exported here so that page
+ * modules have a single place to import theory from. On top of them
+ * this module adds what tonal does not know about: Polish names of
+ * notes, intervals and chord qualities, and small helpers that build
+ * concrete, octave-aware note lists for the exercises.
+ */
+
+export { Note, Interval, Chord, Scale, Key, RomanNumeral };
+
+// Polish names of the interval numbers up to two octaves (1 = pryma,
+// 8 = oktawa, 15 = kwintdecyma).
+const INTERVAL_NUMBER_NAMES = {
+  1: 'pryma',
+  2: 'sekunda',
+  3: 'tercja',
+  4: 'kwarta',
+  5: 'kwinta',
+  6: 'seksta',
+  7: 'septyma',
+  8: 'oktawa',
+  9: 'nona',
+  10: 'decyma',
+  11: 'undecyma',
+  12: 'duodecyma',
+  13: 'tercdecyma',
+  14: 'kwartdecyma',
+  15: 'kwintdecyma',
+};
+
+// Polish interval qualities keyed by tonal's quality letters.
+const INTERVAL_QUALITY_NAMES = {
+  P: 'czysta',
+  M: 'wielka',
+  m: 'mała',
+  A: 'zwiększona',
+  d: 'zmniejszona',
+  AA: 'podwójnie zwiększona',
+  dd: 'podwójnie zmniejszona',
+};
+
+/**
+ * Chord qualities used by the exercises: tonal chord type, Polish name
+ * and the key in which the chord's notes are spelled, given as an
+ * interval from the root to the tonic plus the mode. A diminished or
+ * half-diminished chord is treated as the leading-tone chord of the
+ * major key above it, a dominant chord as the V of the key a fifth below.
+ */
+export const CHORD_QUALITIES = {
+  major: { type: 'major', name: 'dur', key: ['1P', 'major'] },
+  minor: { type: 'minor', name: 'mol', key: ['1P', 'minor'] },
+  diminished: { type: 'diminished', name: 'zmniejszony', key: ['2m', 'major'] },
+  augmented: { type: 'augmented', name: 'zwiększony', key: ['1P', 'major'] },
+  sus2: { type: 'sus2', name: 'sus2', key: ['1P', 'major'] },
+  sus4: { type: 'sus4', name: 'sus4', key: ['1P', 'major'] },
+  dominant7: { type: '7', name: 'septymowy', key: ['4P', 'major'] },
+  major7: { type: 'maj7', name: 'wielki septymowy', key: ['1P', 'major'] },
+  minor7: { type: 'm7', name: 'mol septymowy', key: ['1P', 'minor'] },
+  halfDiminished7: { type: 'm7b5', name: 'półzmniejszony', key: ['2m', 'major'] },
+  dominant9: { type: '9', name: 'nonowy', key: ['4P', 'major'] },
+  major9: { type: 'maj9', name: 'wielki nonowy', key: ['1P', 'major'] },
+  minor9: { type: 'm9', name: 'mol nonowy', key: ['1P', 'minor'] },
+};
+
+/**
+ * Scales and modes used by the exercises: tonal scale type, Polish name
+ * and the mode whose key signature spells the scale. The melodic minor
+ * descends in its natural form, given as `descending`.
+ */
+export const SCALE_TYPES = {
+  major: { type: 'major', name: 'dur', mode: 'major' },
+  naturalMinor: { type: 'aeolian', name: 'mol naturalna (eolska)', mode: 'minor' },
+  harmonicMinor: { type: 'harmonic minor', name: 'mol harmoniczna', mode: 'minor' },
+  melodicMinor: {
+    type: 'melodic minor',
+    name: 'mol melodyczna',
+    mode: 'minor',
+    descending: 'aeolian',
+  },
+  dorian: { type: 'dorian', name: 'dorycka', mode: 'dorian' },
+  phrygian: { type: 'phrygian', name: 'frygijska', mode: 'phrygian' },
+  lydian: { type: 'lydian', name: 'lidyjska', mode: 'lydian' },
+  mixolydian: { type: 'mixolydian', name: 'miksolidyjska', mode: 'mixolydian' },
+  locrian: { type: 'locrian', name: 'lokrycka', mode: 'locrian' },
+  majorPentatonic: { type: 'major pentatonic', name: 'pentatonika durowa', mode: 'major' },
+  minorPentatonic: { type: 'minor pentatonic', name: 'pentatonika molowa', mode: 'minor' },
+  blues: { type: 'blues', name: 'bluesowa', mode: 'minor' },
+};
+
+// Pitch classes of the twelve chromatic roots, with both spellings of
+// the black keys; chordRoot() and scaleRoot() pick the one that reads
+// more easily.
+const CHROMATIC_ROOTS = [
+  ['C'], ['C#', 'Db'], ['D'], ['D#', 'Eb'], ['E'], ['F'],
+  ['F#', 'Gb'], ['G'], ['G#', 'Ab'], ['A'], ['A#', 'Bb'], ['B'],
+];
+
+// Polish ordinal names of the inversions
+const INVERSION_NAMES = ['postać zasadnicza', '1. przewrót', '2. przewrót', '3. przewrót', '4. przewrót'];
+
+/**
+ * Polish name of a pitch class: H for B, B for B♭, "-is" for sharps and
+ * "-es" for flats (Cis, Es, As, Fisis, Heses).
+ *
+ * @param {string} pc Pitch class or note name, e.g. "Eb" or "Eb4"
+ * @returns {string} Polish name without octave, e.g. "Es"
+ */
+export function polishNoteName(pc) {
+  const { letter, alt } = Note.get(pc);
+  if (letter === 'B' && alt === -1) return 'B';
+  const base = letter === 'B' ? 'H' : letter;
+  if (alt > 0) return base + 'is'.repeat(alt);
+  if (alt < 0) {
+    // Vowels merge with the first "es": Es, As
+    const flats = 'es'.repeat(-alt);
+    return ['E', 'A'].includes(base) ? base + flats.slice(1) : base + flats;
+  }
+  return base;
+}
+
+/**
+ * Polish name of an interval up to two octaves, e.g. "3m" → "tercja
+ * mała", "10M" → "decyma wielka". The tritone (augmented fourth) keeps
+ * its customary name.
+ *
+ * @param {string} name Interval name in tonal notation ("3m", "4A", "9M")
+ * @returns {string} Polish name
+ */
+export function polishIntervalName(name) {
+  const ivl = Interval.get(name);
+  if (ivl.empty || !INTERVAL_NUMBER_NAMES[Math.abs(ivl.num)]) {
+    throw new Error(`Unknown interval: ${name}`);
+  }
+  if (Math.abs(ivl.num) === 4 && ivl.q === 'A') return 'tryton';
+  return `${INTERVAL_NUMBER_NAMES[Math.abs(ivl.num)]} ${INTERVAL_QUALITY_NAMES[ivl.q]}`;
+}
+
+/**
+ * Tonic and mode of the key in which a chord on the given root is
+ * spelled (see CHORD_QUALITIES).
+ *
+ * @param {string} root Root pitch class or note name
+ * @param {string} quality Key of CHORD_QUALITIES
+ * @returns {[string, string]} Tonic pitch class and mode
+ */
+function chordKey(root, quality) {
+  const [toTonic, mode] = CHORD_QUALITIES[quality].key;
+  return [Note.pitchClass(Note.transpose(root, toTonic)), mode];
+}
+
+/**
+ * Number of accidentals in the key signature of a key.
+ *
+ * @param {[string, string]} key Tonic and mode
+ * @returns {number} Sharps or flats in the key signature
+ */
+function keyAccidentalCount([tonic, mode]) {
+  const key = mode === 'minor' ? Key.minorKey(tonic) : Key.majorKey(tonic);
+  return Math.abs(key.alteration);
+}
+
+/**
+ * Spell the root of a chord on one of the twelve chromatic pitch
+ * classes, choosing between the sharp and the flat name the one whose
+ * key has fewer accidentals (D♭ major but C♯ minor). On a tie the chord
+ * with fewer altered notes wins (E♭m9 rather than D♯m9 with its E♯).
+ *
+ * @param {number} chroma Pitch class number 0–11 (0 = C)
+ * @param {string} quality Key of CHORD_QUALITIES
+ * @returns {string} Root pitch class, e.g. "Db"
+ */
+export function chordRoot(chroma, quality) {
+  return cheapestRoot(chroma, (pc) => {
+    const notes = buildChord(`${pc}4`, quality).notes;
+    return keyAccidentalCount(chordKey(pc, quality)) * 100 + alterationCount(notes);
+  });
+}
+
+/**
+ * Spell the tonic of a scale on one of the twelve chromatic pitch
+ * classes, choosing between the sharp and the flat name the one whose
+ * scale has fewer accidentals (E♭ major but C♯ minor).
+ *
+ * @param {number} chroma Pitch class number 0–11 (0 = C)
+ * @param {string} type Key of SCALE_TYPES
+ * @returns {string} Tonic pitch class, e.g. "Eb"
+ */
+export function scaleRoot(chroma, type) {
+  return cheapestRoot(chroma, (pc) => alterationCount(buildScale(`${pc}4`, type).notes));
+}
+
+/**
+ * Total number of sharps and flats in a list of notes.
+ *
+ * @param {string[]} notes Note names
+ * @returns {number} Sum of the absolute alterations
+ */
+function alterationCount(notes) {
+  return notes.reduce((sum, n) => sum + Math.abs(Note.get(n).alt), 0);
+}
+
+/**
+ * Of the spellings of a chromatic pitch class pick the one with the
+ * lowest cost (the first one on a tie).
+ *
+ * @param {number} chroma Pitch class number 0–11 (0 = C)
+ * @param {(pc: string) => number} cost Cost of a spelling
+ * @returns {string} Pitch class
+ */
+function cheapestRoot(chroma, cost) {
+  const candidates = CHROMATIC_ROOTS[((chroma % 12) + 12) % 12];
+  return candidates.reduce((best, pc) => (cost(pc) < cost(best) ? pc : best));
+}
+
+/**
+ * Build a chord on a root with an octave, e.g. ("Eb4", "major") →
+ * { name: 'Es dur', notes: ['Eb4', 'G4', 'Bb4'], key: ['Eb', 'major'], … }.
+ * Notes are stacked upwards from the root and spelled by tonal; `key`
+ * is the tonic and mode used to spell other notes in the chord's
+ * context. For an inversion the lowest notes are moved up by octaves
+ * above the new bass, so the first inversion of C major is E4 G4 C5.
+ *
+ * @param {string} root Root note with octave
+ * @param {string} quality Key of CHORD_QUALITIES
+ * @param {number} [inversion=0] 0 for root position, 1 for the first inversion…
+ * @returns {{name: string, root: string, notes: string[], key: [string, string],
+ *   quality: string, inversion: number}}
+ */
+export function buildChord(root, quality, inversion = 0) {
+  const q = CHORD_QUALITIES[quality];
+  if (!q) throw new Error(`Unknown chord quality: ${quality}`);
+  const chord = Chord.getChord(q.type, Note.pitchClass(root));
+  if (inversion < 0 || inversion >= chord.intervals.length) {
+    throw new Error(`Invalid inversion ${inversion} for ${chord.symbol}`);
+  }
+  const stacked = chord.intervals.map((ivl) => Note.transpose(root, ivl));
+  const bass = stacked[inversion];
+  const raised = stacked.slice(0, inversion).map((n) => {
+    let note = Note.transpose(n, '8P');
+    while (Note.midi(note) <= Note.midi(bass)) note = Note.transpose(note, '8P');
+    return note;
+  });
+  // Ninth chords can leave notes out of order; keep them lowest first
+  const notes = stacked
+    .slice(inversion)
+    .concat(raised)
+    .sort((a, b) => Note.midi(a) - Note.midi(b));
+  let name = `${polishNoteName(root)} ${q.name}`;
+  if (inversion > 0) name += `, ${INVERSION_NAMES[inversion]}`;
+  return {
+    name,
+    root: Note.pitchClass(root),
+    notes,
+    key: chordKey(root, quality),
+    quality,
+    inversion,
+  };
+}
+
+/**
+ * Build a scale on a tonic with an octave, e.g. ("D4", "dorian") →
+ * { name: 'D dorycka', notes: ['D4', 'E4', 'F4', … 'D5'], descending:
+ * ['D5', 'C5', … 'D4'], key: ['D', 'dorian'] }. Both directions span one
+ * octave from tonic to tonic and are spelled by tonal; `key` is the
+ * tonic and mode whose key signature spells other notes.
+ *
+ * @param {string} tonic Tonic with octave
+ * @param {string} type Key of SCALE_TYPES
+ * @returns {{name: string, notes: string[], descending: string[], key: [string, string], type: string}}
+ */
+export function buildScale(tonic, type) {
+  const t = SCALE_TYPES[type];
+  if (!t) throw new Error(`Unknown scale type: ${type}`);
+  const pc = Note.pitchClass(tonic);
+  const octave = (scaleType) =>
+    Scale.get(`${pc} ${scaleType}`)
+      .intervals.map((ivl) => Note.transpose(tonic, ivl))
+      .concat(Note.transpose(tonic, '8P'));
+  const notes = octave(t.type);
+  const descending = octave(t.descending || t.type).reverse();
+  return { name: `${polishNoteName(pc)} ${t.name}`, notes, descending, key: [pc, t.mode], type };
+}
\ No newline at end of file
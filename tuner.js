@@ -0,0 +1,284 @@
+import { freqToNote, centsFromMidi, midiToNoteName, tuningReference } from './common.js';
+import { NoteDetector } from './noteDetector.js';
+
+/*
+ * Live tuner. NoteDetector's frames are turned into the nearest note
+ * (with octave) and its deviation in cents using freqToNote(). The
+ * deviation is shown either as a needle or as a strobe, whose stripes
+ * stand still when the pitch is exact and drift left or right when it
+ * is flat or sharp. A history graph plots the pitch of the last few
+ * seconds against the semitone grid, which helps singers see how
+ * steadily they hold a note.
+ */
+
+// Deviation within which a note counts as in tune, in cents.
+const IN_TUNE_CENTS = 5;
+// Length of the pitch history graph in seconds.
+const HISTORY_SECONDS = 10;
+// Frames used for the median that steadies the readout.
+const SMOOTHING_FRAMES = 5;
+// Time without pitch after which the readout is cleared, in seconds.
+const HOLD_SECONDS = 1;
+
+const toggleBtn = document.getElementById('tuner-toggle');
+const modeSelect = document.getElementById('display-mode');
+const noteEl = document.getElementById('tuner-note');
+const centsEl = document.getElementById('tuner-cents');
+const freqEl = document.getElementById('tuner-freq');
+const referenceEl = document.getElementById('tuner-reference');
+const meterCanvas = document.getElementById('tuner-meter');
+const meterCtx = meterCanvas.getContext('2d');
+const historyCanvas = document.getElementById('pitch-history');
+const historyCtx = historyCanvas.getContext('2d');
+
+let detector = null;
+let animationId = null;
+// Recent frequencies of the current note, for the median
+let recent = [];
+// Pitch history as { time, pitch } with pitch in fractional MIDI numbers
+// (null while nothing is detected); time is the audio context time
+let history = [];
+let lastTime = 0;
+let lastPitchTime = -Infinity;
+// Note and deviation currently displayed
+let reading = null;
+// Strobe stripe offset in pixels and the time of the last animation frame
+let strobePhase = 0;
+let lastAnimation = null;
+
+/**
+ * Handle one analysed frame: update the smoothed reading and the history.
+ *
+ * @param {{pitch: number, clarity: number, time: number}} frame Frame features
+ */
+function handleFrame(frame) {
+  lastTime = frame.time;
+  const clear = frame.pitch > 0 && frame.clarity >= detector.clarityThreshold;
+  if (!clear) {
+    history.push({ time: frame.time, pitch: null });
+  } else {
+    const note = freqToNote(frame.pitch);
+    // Start a new median whenever the nearest note changes
+    if (!reading || reading.midi !== note.midi) recent = [];
+    recent.push(frame.pitch);
+    if (recent.length > SMOOTHING_FRAMES) recent.shift();
+    const freq = [...recent].sort((a, b) => a - b)[Math.floor(recent.length / 2)];
+    reading = { midi: note.midi, freq, cents: centsFromMidi(freq, note.midi) };
+    lastPitchTime = frame.time;
+    history.push({ time: frame.time, pitch: note.midi + note.cents / 100 });
+  }
+  while (history.length && history[0].time < frame.time - HISTORY_SECONDS) {
+    history.shift();
+  }
+  if (frame.time - lastPitchTime > HOLD_SECONDS) reading = null;
+}
+
+/**
+ * Update the textual readout.
+ */
+function renderReadout() {
+  if (!reading) {
+    noteEl.textContent = '–';
+    centsEl.textContent = '';
+    centsEl.classList.remove('in-tune');
+    freqEl.textContent = '';
+    return;
+  }
+  const cents = Math.round(reading.cents);
+  noteEl.textContent = midiToNoteName(reading.midi);
+  centsEl.textContent = `${cents > 0 ? '+' : ''}${cents} ct`;
+  centsEl.classList.toggle('in-tune', Math.abs(reading.cents) <= IN_TUNE_CENTS);
+  freqEl.textContent = `${reading.freq.toFixed(1)} Hz`;
+}
+
+/**
+ * Draw a semicircular meter with a needle at the current deviation.
+ */
+function drawNeedle() {
+  const { width, height } = meterCanvas;
+  const cx = width / 2;
+  const cy = height - 20;
+  const radius = Math.min(cx, cy) - 10;
+  // ±50 cents span ±60° from vertical
+  const angleFor = (cents) => -Math.PI / 2 + (cents / 50) * (Math.PI / 3);
+  meterCtx.lineWidth = 10;
+  meterCtx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+  meterCtx.beginPath();
+  meterCtx.arc(cx, cy, radius, angleFor(-50), angleFor(50));
+  meterCtx.stroke();
+  meterCtx.strokeStyle = '#34d399';
+  meterCtx.beginPath();
+  meterCtx.arc(cx, cy, radius, angleFor(-IN_TUNE_CENTS), angleFor(IN_TUNE_CENTS));
+  meterCtx.stroke();
+  meterCtx.lineWidth = 2;
+  meterCtx.strokeStyle = '#e5e7eb';
+  meterCtx.fillStyle = '#e5e7eb';
+  meterCtx.font = '12px sans-serif';
+  meterCtx.textAlign = 'center';
+  for (let c = -50; c <= 50; c += 10) {
+    const a = angleFor(c);
+    const inner = c % 25 === 0 ? radius - 22 : radius - 14;
+    meterCtx.beginPath();
+    meterCtx.moveTo(cx + Math.cos(a) * inner, cy + Math.sin(a) * inner);
+    meterCtx.lineTo(cx + Math.cos(a) * (radius - 6), cy + Math.sin(a) * (radius - 6));
+    meterCtx.stroke();
+    if (c % 25 === 0) {
+      meterCtx.fillText(String(c), cx + Math.cos(a) * (radius - 34), cy + Math.sin(a) * (radius - 34) + 4);
+    }
+  }
+  if (!reading) return;
+  const cents = Math.max(-50, Math.min(50, reading.cents));
+  const a = angleFor(cents);
+  meterCtx.lineWidth = 3;
+  meterCtx.strokeStyle = Math.abs(cents) <= IN_TUNE_CENTS ? '#34d399' : '#f97316';
+  meterCtx.beginPath();
+  meterCtx.moveTo(cx, cy);
+  meterCtx.lineTo(cx + Math.cos(a) * (radius - 8), cy + Math.sin(a) * (radius - 8));
+  meterCtx.stroke();
+  meterCtx.beginPath();
+  meterCtx.arc(cx, cy, 6, 0, 2 * Math.PI);
+  meterCtx.fill();
+}
+
+/**
+ * Draw strobe bands. Each band's stripes move at a speed proportional to
+ * the deviation (the lower band twice as fast), so an in-tune note makes
+ * them stand still.
+ *
+ * @param {number} dt Seconds since the previous animation frame
+ */
+function drawStrobe(dt) {
+  const { width, height } = meterCanvas;
+  const stripe = 20;
+  if (reading) strobePhase += reading.cents * 2 * dt;
+  const inTune = reading && Math.abs(reading.cents) <= IN_TUNE_CENTS;
+  const bandHeight = 40;
+  const top = height / 2 - bandHeight - 5;
+  [1, 2].forEach((speed, band) => {
+    const y = top + band * (bandHeight + 10);
+    const offset = ((strobePhase * speed) % (2 * stripe) + 2 * stripe) % (2 * stripe);
+    meterCtx.fillStyle = 'rgba(255, 255, 255, 0.08)';
+    meterCtx.fillRect(0, y, width, bandHeight);
+    if (!reading) return;
+    meterCtx.fillStyle = inTune ? '#34d399' : '#8b5cf6';
+    for (let x = offset - 2 * stripe; x < width; x += 2 * stripe) {
+      meterCtx.fillRect(x, y, stripe, bandHeight);
+    }
+  });
+}
+
+/**
+ * Plot the pitch history against a semitone grid centred on the
+ * detected pitches.
+ */
+function drawHistory() {
+  const { width, height } = historyCanvas;
+  historyCtx.clearRect(0, 0, width, height);
+  const pitches = history.filter((h) => h.pitch !== null).map((h) => h.pitch);
+  let low = 57;
+  let high = 69;
+  if (pitches.length) {
+    low = Math.floor(Math.min(...pitches)) - 1;
+    high = Math.ceil(Math.max(...pitches)) + 1;
+    // Show at least an octave so that small wobbles are not exaggerated
+    if (high - low < 12) {
+      const centre = (low + high) / 2;
+      low = Math.floor(centre - 6);
+      high = low + 12;
+    }
+  }
+  const left = 40;
+  const yFor = (pitch) => height - 10 - ((pitch - low) / (high - low)) * (height - 20);
+  const xFor = (time) => left + ((time - (lastTime - HISTORY_SECONDS)) / HISTORY_SECONDS) * (width - left);
+  historyCtx.font = '11px sans-serif';
+  historyCtx.textAlign = 'right';
+  for (let m = low; m <= high; m++) {
+    const y = yFor(m);
+    const natural = !midiToNoteName(m).includes('#');
+    historyCtx.strokeStyle = natural ? 'rgba(255, 255, 255, 0.2)' : 'rgba(255, 255, 255, 0.07)';
+    historyCtx.lineWidth = 1;
+    historyCtx.beginPath();
+    historyCtx.moveTo(left, y);
+    historyCtx.lineTo(width, y);
+    historyCtx.stroke();
+    if (natural) {
+      historyCtx.fillStyle = '#e5e7eb';
+      historyCtx.fillText(midiToNoteName(m), left - 6, y + 4);
+    }
+  }
+  historyCtx.strokeStyle = '#34d399';
+  historyCtx.lineWidth = 2;
+  historyCtx.beginPath();
+  let drawing = false;
+  history.forEach(({ time, pitch }) => {
+    if (pitch === null) {
+      drawing = false;
+      return;
+    }
+    const x = xFor(time);
+    const y = yFor(pitch);
+    if (drawing) historyCtx.lineTo(x, y);
+    else historyCtx.moveTo(x, y);
+    drawing = true;
+  });
+  historyCtx.stroke();
+}
+
+/**
+ * Redraw everything; runs on every animation frame while the tuner is on.
+ *
+ * @param {number} timestamp requestAnimationFrame timestamp in ms
+ */
+function render(timestamp) {
+  const dt = lastAnimation === null ? 0 : (timestamp - lastAnimation) / 1000;
+  lastAnimation = timestamp;
+  renderReadout();
+  meterCtx.clearRect(0, 0, meterCanvas.width, meterCanvas.height);
+  if (modeSelect.value === 'strobe') drawStrobe(dt);
+  else drawNeedle();
+  drawHistory();
+  if (detector) animationId = requestAnimationFrame(render);
+}
+
+/**
+ * Show the A4 reference in use; the microphone's calibration may change it.
+ */
+function showReference() {
+  referenceEl.textContent = `Strojenie: A4 = ${tuningReference} Hz (zmienisz je w kalibracji mikrofonu).`;
+}
+
+async function startTuner() {
+  detector = new NoteDetector({ onFrame: handleFrame });
+  toggleBtn.textContent = 'Wyłącz stroik';
+  await detector.start();
+  if (!detector || !detector.stream) {
+    stopTuner();
+    return;
+  }
+  showReference();
+  history = [];
+  reading = null;
+  lastAnimation = null;
+  animationId = requestAnimationFrame(render);
+}
+
+function stopTuner() {
+  if (detector) {
+    detector.stop();
+    detector = null;
+  }
+  if (animationId !== null) {
+    cancelAnimationFrame(animationId);
+    animationId = null;
+  }
+  toggleBtn.textContent = 'Włącz stroik';
+}
+
+toggleBtn.addEventListener('click', () => {
+  if (detector) stopTuner();
+  else startTuner();
+});
+
+showReference();
+// Draw the empty meter until the tuner is switched on
+render(0);
\ No newline at end of file